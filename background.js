@@ -1,47 +1,42 @@
 // Background service worker for handling API calls to Anthropic
 
+importScripts('utils/notionClient.js', 'utils/anthropicClient.js', 'utils/modelSettings.js', 'utils/turnDiff.js', 'utils/summaryCache.js', 'utils/lensManager.js', 'utils/conversationSummary.js', 'utils/markdownToNotion.js', 'utils/fileExporters.js', 'utils/notionDatabase.js', 'utils/attachmentStore.js', 'utils/exportQueue.js', 'utils/exportHistory.js', 'utils/exportSettings.js', 'utils/exportLayouts.js');
+
 console.log('Background service worker loaded');
 
-// Helper function for retrying with exponential backoff
-async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      
-      // If rate limited (429) or server error (5xx), retry
-      const shouldRetry = error.message.includes('429') || 
-                          error.message.includes('rate limit') ||
-                          error.message.includes('5') && error.message.includes('Error');
-      
-      if (!shouldRetry || attempt === maxRetries - 1) {
-        throw error;
-      }
-      
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = initialDelay * Math.pow(2, attempt);
-      console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms...`);
-      await sleep(delay);
-    }
+chrome.runtime.onInstalled.addListener(() => {
+  initializeDefaultLenses().catch(error => {
+    console.error('Failed to initialize lenses:', error);
+  });
+});
+
+// Resume exports interrupted when Chrome stopped the worker and check on pending Message Batches
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === EXPORT_QUEUE_ALARM) {
+    await pollSummaryBatches();
+    runConversationExports();
+    processExportQueue();
   }
-  
-  throw lastError;
-}
+});
 
-// Helper function for sleep
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Alarms are not guaranteed to survive a browser restart, so recreate the one that
+// polls Message Batches while a job still waits on one
+chrome.runtime.onStartup.addListener(async () => {
+  const jobs = await getExportJobs();
+  if (jobs.some(job => job.status === 'waiting')) {
+    await chrome.alarms.create(EXPORT_QUEUE_ALARM, { periodInMinutes: 1 });
+    await pollSummaryBatches();
+  }
+  processExportQueue();
+});
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Background: Received message:', request.action);
   
   if (request.action === 'summarizeTurn') {
     console.log('Background: Received summarizeTurn request for turn', request.data.turnNumber);
-    handleSummarization(request.data, request.apiKey)
+    resolveLens(request.lensId)
+      .then(lens => handleSummarization(request.data, request.apiKey, lens))
       .then(result => {
         console.log('Background: Successfully summarized turn', request.data.turnNumber);
         sendResponse({ success: true, data: result });
@@ -54,26 +49,64 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
   
   if (request.action === 'startExport') {
-    console.log('Background: Starting export process');
-    handleFullExport(request.data)
+    console.log('Background: Queueing export');
+    enqueueExportJob(request.data)
+      .then(async ({ job, position }) => {
+        console.log(`Background: Queued export job ${job.id} at position ${position}`);
+        sendResponse({ success: true, jobId: job.id, position });
+        await startExportQueue();
+      })
+      .catch(error => {
+        console.error('Background: Could not queue export:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep channel open for async response
+  }
+  
+  if (request.action === 'startFileExport') {
+    console.log('Background: Starting file export');
+    handleFileExport(request.data)
       .then(() => {
-        console.log('Background: Export completed successfully');
+        console.log('Background: File export completed successfully');
         sendResponse({ success: true });
       })
       .catch(error => {
-        console.error('Background: Export failed:', error);
+        console.error('Background: File export failed:', error);
         sendResponse({ success: false, error: error.message });
       });
     return true; // Keep channel open for async response
   }
   
   if (request.action === 'getProgress') {
-    chrome.storage.local.get(['exportProgress'], (result) => {
-      sendResponse({ progress: result.exportProgress || null });
+    getExportProgress(request.jobId).then(progress => {
+      sendResponse({ progress });
     });
     return true;
   }
   
+  if (request.action === 'verifyExport') {
+    verifyExportedConversation(request.conversationUrl)
+      .then(verification => {
+        sendResponse({ success: true, data: verification });
+      })
+      .catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
+  if (request.action === 'updateExports' || request.action === 'bulkExport') {
+    // Bulk exports also start conversations that were never exported, into the chosen destination
+    startConversationExports(request.conversationUrls, request.action === 'bulkExport' ? request.target : null)
+      .then(result => {
+        sendResponse({ success: true, data: result });
+      })
+      .catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
   if (request.action === 'getExportHistory') {
     getExportHistory(request.conversationUrl)
       .then(history => {
@@ -86,240 +119,172 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
-async function handleSummarization(turnData, apiKey) {
-  const { user, assistant, turnNumber } = turnData;
+// clientOptions are passed to the Anthropic client (e.g. onRateLimit for the summary pool)
+async function handleSummarization(turnData, apiKey, lens, clientOptions = {}) {
+  const { user, assistant } = turnData;
   
-  // Combine user and assistant messages for context
-  const fullTurn = `User: ${user}\n\nAssistant: ${assistant}`;
+  // Unchanged turns re-exported with the same lens and model reuse the earlier reply
+  const cached = await findCachedSummary(turnData, lens);
+  if (cached) {
+    return cached;
+  }
   
-  // Create prompt for Claude to generate both summaries
-  const prompt = `You are summarizing a conversation turn between a user and an AI assistant. Provide two summaries:
-
-1. A one-sentence summary (max 150 characters)
-2. A one-paragraph summary (3-5 sentences)
-
-Format your response as JSON:
-{
-  "oneLine": "...",
-  "paragraph": "..."
+  // Build the prompt from the lens template and its output schema
+  const prompt = buildLensPrompt(lens, user, assistant);
+  const { model, message } = await createSummaryMessage(apiKey, prompt, 1024, clientOptions);
+  await cacheTurnSummary(turnData, lens, model, message);
+  return buildTurnSummary(turnData, lens, message);
 }
 
-Conversation turn to summarize:
-${fullTurn}`;
-
-  // Wrap the API call in retry logic
-  return await retryWithBackoff(async () => {
-    // Try multiple model names in order of preference
-    const modelsToTry = [
-      'claude-3-5-sonnet-20241022',
-      'claude-3-5-sonnet-20240620', 
-      'claude-3-opus-20240229',
-      'claude-3-sonnet-20240229',
-      'claude-3-haiku-20240307'
-    ];
-    
-    let lastError = null;
-    
-    for (const model of modelsToTry) {
-      try {
-        console.log(`Trying model: ${model}`);
-        
-        const requestBody = {
-        model: model,
-        max_tokens: 1024,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+// The fallback model may have answered earlier, so every candidate's key is checked
+async function findCachedSummary(turnData, lens) {
+  for (const model of await getSummaryModelCandidates()) {
+    const cacheKey = await buildSummaryCacheKey(turnData.user, turnData.assistant, lens, model);
+    const cached = await getCachedSummary(cacheKey).catch(error => {
+      console.warn('Summary cache lookup failed:', error);
+      return null;
+    });
+    if (cached) {
+      return {
+        ...buildTurnSummary(turnData, lens, { ...cached, usage: { inputTokens: 0, outputTokens: 0 } }),
+        cached: true
       };
-      
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify(requestBody)
-      });
+    }
+  }
+  return null;
+}
 
-      console.log(`Model ${model} response status:`, response.status);
+// Store a reply under the key of the model that produced it
+async function cacheTurnSummary(turnData, lens, model, message) {
+  try {
+    const cacheKey = await buildSummaryCacheKey(turnData.user, turnData.assistant, lens, model);
+    await putCachedSummary(cacheKey, lens, model, message);
+  } catch (error) {
+    console.warn('Could not cache summary:', error);
+  }
+}
 
-      if (!response.ok) {
-        let errorMessage = `HTTP ${response.status}`;
-        try {
-          const errorData = await response.json();
-          
-          // Extract error message from various possible structures
-          if (errorData.error) {
-            if (typeof errorData.error === 'string') {
-              errorMessage = errorData.error;
-            } else if (errorData.error.message) {
-              errorMessage = errorData.error.message;
-            } else if (errorData.error.type) {
-              errorMessage = `${errorData.error.type}: ${errorData.error.message || 'Unknown error'}`;
-            } else {
-              errorMessage = JSON.stringify(errorData.error);
-            }
-          } else if (errorData.message) {
-            errorMessage = errorData.message;
-          }
-          
-          // Only log detailed error for non-404 responses (404 is expected during model fallback)
-          if (response.status !== 404) {
-            console.error(`Model ${model} error response:`, JSON.stringify(errorData, null, 2));
-          }
-        } catch (e) {
-          // Failed to parse JSON error response
-          errorMessage = response.statusText || `HTTP ${response.status}`;
-        }
-        
-        // If 404, try next model (this is expected behavior)
-        if (response.status === 404) {
-          console.log(`Model ${model} not available, trying next model...`);
-          lastError = new Error(`Model not found: ${model}`);
-          continue;
-        }
-        
-        console.error(`Model ${model} error: ${errorMessage}`);
-        
-        // If rate limited, throw to trigger retry
-        if (response.status === 429) {
-          throw new Error(`Rate limit (429): ${errorMessage}`);
-        }
-        
-        // For other errors, throw immediately
-        throw new Error(`API Error: ${errorMessage}`);
-      }
+// Turn summary from the model's reply, whether it came from a single request or a Message Batch
+function buildTurnSummary(turnData, lens, message) {
+  const { user, assistant, turnNumber } = turnData;
+  
+  // Map the JSON response onto the lens schema
+  const parsed = parseLensResponse(lens, message.text);
+  const firstText = parsed.sections.find(section => section.type === 'text' && section.value);
+  
+  return {
+    turnNumber,
+    oneLine: parsed.title || `Turn ${turnNumber}`,
+    paragraph: firstText ? firstText.value : '',
+    sections: parsed.sections,
+    sourceUser: user,
+    sourceAssistant: assistant,
+    sourceUserNodes: turnData.userNodes,
+    sourceAssistantNodes: turnData.assistantNodes,
+    artifacts: turnData.artifacts || [],
+    model: message.model,
+    usage: message.usage
+  };
+}
 
-      // Success! Parse and return
-      const data = await response.json();
-      console.log(`Successfully used model: ${model}`);
-      const content = data.content[0].text;
-    
-      // Parse the JSON response
-      let summaries;
-      try {
-        // Try to extract JSON from the response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          summaries = JSON.parse(jsonMatch[0]);
-        } else {
-          // Fallback: parse manually if JSON isn't clean
-          throw new Error('No JSON found in response');
-        }
-      } catch (parseError) {
-        // Fallback: use the full content as paragraph and first sentence as one-liner
-        const sentences = content.split(/[.!?]+/).filter(s => s.trim());
-        summaries = {
-          oneLine: sentences[0]?.trim() || content.substring(0, 150),
-          paragraph: content.trim()
-        };
-      }
-      
-      return {
-        turnNumber,
-        oneLine: summaries.oneLine,
-        paragraph: summaries.paragraph,
-        sourceUser: user,
-        sourceAssistant: assistant
-      };
-      
+// Send a prompt to the summary model, moving on to the fallback only when a model is unavailable
+// Returns { model, message } with the candidate that answered
+async function createSummaryMessage(apiKey, prompt, maxTokens = 1024, clientOptions = {}) {
+  const anthropic = createAnthropicClient(apiKey, clientOptions);
+  // Default model then fallback, from settings (or the model cached after an earlier fallback)
+  const modelsToTry = await getSummaryModelCandidates();
+  
+  let lastError = null;
+  
+  for (const model of modelsToTry) {
+    try {
+      // Transient failures (rate limits, overload) are retried inside the client
+      const message = await anthropic.createMessage(model, prompt, maxTokens);
+      await cacheResolvedSummaryModel(model);
+      return { model, message };
     } catch (error) {
+      if (!error.isModelNotFound) {
+        throw error;
+      }
+      console.log(`Model ${model} not available, trying next model...`);
       lastError = error;
-      console.error(`Model ${model} failed:`, error);
-      // Continue to next model
-      continue;
     }
   }
-    
-  // If we get here, all models failed
-  console.error('All models failed. Last error:', lastError);
-  throw lastError || new Error('All models failed');
-  });
+  
+  // If we get here, neither the default nor the fallback model was available
+  console.error('No summary model available. Last error:', lastError);
+  throw lastError;
 }
 
-async function handleFullExport(exportData) {
-  const { turns, chatTitle, conversationUrl, apiKey, notionToken, pageId, exportMode, existingExportData } = exportData;
-  const NOTION_BLOCK_LIMIT = 2000;
+// Overview of the whole conversation from the per-turn digests
+async function summarizeConversation(apiKey, chatTitle, turnDigests) {
+  const prompt = buildConversationSummaryPrompt(chatTitle, turnDigests);
+  const { message } = await createSummaryMessage(apiKey, prompt, 2048);
+  return {
+    ...parseConversationSummary(message.text),
+    model: message.model,
+    usage: message.usage
+  };
+}
+
+// Run queued exports one at a time; safe to call repeatedly (worker start, new job, alarm)
+let exportQueueRunning = false;
+// A job queued while the queue is winding down would otherwise wait for the alarm
+let exportQueueRequested = false;
+// Set while runConversationExports reads a bulk export's conversations
+let bulkExportRunning = false;
+
+async function processExportQueue() {
+  if (exportQueueRunning) {
+    exportQueueRequested = true;
+    return;
+  }
+  exportQueueRunning = true;
+  exportQueueRequested = false;
   
   try {
-    // Determine which turns to process
-    let turnsToProcess = turns;
-    let startIndex = 0;
-    
-    if (exportMode === 'update' && existingExportData) {
-      // Only process new turns
-      startIndex = existingExportData.turnCount;
-      turnsToProcess = turns.slice(startIndex);
-      console.log(`Update mode: Processing ${turnsToProcess.length} new turns (${startIndex + 1} to ${turns.length})`);
-      
-      if (turnsToProcess.length === 0) {
-        throw new Error('No new turns to export');
-      }
+    let job;
+    while ((job = await getNextExportJob())) {
+      await runExportJob(job);
     }
-    
-    // Update progress
-    await updateProgress('starting', 0, turnsToProcess.length, 'Starting export...');
-    
-    // Process each turn
-    const summaries = [];
-    for (let i = 0; i < turnsToProcess.length; i++) {
-      const turn = turnsToProcess[i];
-      
-      await updateProgress('summarizing', i, turnsToProcess.length, `Processing turn ${startIndex + i + 1} of ${turns.length}...`);
-      
-      try {
-        const summary = await handleSummarization(turn, apiKey);
-        summaries.push(summary);
-      } catch (error) {
-        console.error(`Error summarizing turn ${startIndex + i + 1}:`, error);
-        summaries.push({
-          turnNumber: turn.turnNumber,
-          oneLine: `Turn ${turn.turnNumber} (summary failed)`,
-          paragraph: 'Summary generation failed for this turn.',
-          sourceUser: turn.user,
-          sourceAssistant: turn.assistant
-        });
-      }
-      
-      // Delay between turns to avoid rate limiting (increased from 300ms)
-      if (i < turnsToProcess.length - 1) {
-        await sleep(800);
-      }
+    // Nothing left to resume; jobs waiting on a Message Batch and unfinished bulk exports keep the alarm
+    const jobs = await getExportJobs();
+    if (!jobs.some(isPendingExportJob) && !await hasUnfinishedBulkExport()) {
+      await chrome.alarms.clear(EXPORT_QUEUE_ALARM);
     }
-    
-    await updateProgress('creating', turnsToProcess.length, turnsToProcess.length, 'Creating Notion blocks...');
-    
-    let parentBlockId;
-    
-    // Create or append blocks in Notion
-    if (exportMode === 'update' && existingExportData) {
-      // Append to existing block
-      await appendNotionToggles(summaries, existingExportData.parentBlockId, notionToken, NOTION_BLOCK_LIMIT);
-      parentBlockId = existingExportData.parentBlockId;
-    } else {
-      // Create new master toggle
-      parentBlockId = await createNotionToggles(summaries, pageId, notionToken, chatTitle, conversationUrl, NOTION_BLOCK_LIMIT);
+  } catch (error) {
+    console.error('Export queue error:', error);
+  } finally {
+    exportQueueRunning = false;
+    if (exportQueueRequested) processExportQueue();
+  }
+}
+
+// A restarted worker picks up any job left running or queued, and a bulk export it was reading
+processExportQueue();
+runConversationExports();
+
+async function runExportJob(job) {
+  const { exportMode, conversationUrl } = job.data;
+  console.log(`Running export job ${job.id} (${job.status === 'running' ? 'resuming' : 'starting'})`);
+  
+  try {
+    job = await updateExportJob(job.id, { status: 'running' });
+    const result = await executeExportJob(job);
+    if (!result) {
+      console.log(`Export job ${job.id} is waiting for its Message Batch`);
+      return;
     }
-    
-    // Store/update export history
-    await storeExportHistory(conversationUrl, {
-      conversationUrl,
-      conversationTitle: chatTitle,
-      exportedAt: new Date().toISOString(),
-      turnCount: turns.length,
-      notionPageId: pageId,
-      parentBlockId: parentBlockId
-    });
+    const { model, usage, changes } = result;
+    await finishExportJob(job.id, 'done');
     
     // Clear progress and show success notification
     await chrome.storage.local.remove(['exportProgress']);
     
-    const message = exportMode === 'update' 
-      ? `Successfully added ${turnsToProcess.length} new turns to Notion!`
-      : `Successfully exported ${turns.length} turns to Notion!`;
+    const message = (exportMode === 'update' 
+      ? `Successfully ${describeTurnChanges(changes)} in Notion!`
+      : `Successfully exported ${job.data.turns.length} turns to Notion!`) +
+      (model ? ` ${model} used ${(usage.inputTokens + usage.outputTokens).toLocaleString()} tokens.` : '');
     
     chrome.notifications.create({
       type: 'basic',
@@ -330,407 +295,1593 @@ async function handleFullExport(exportData) {
     
   } catch (error) {
     console.error('Export error:', error);
-    await updateProgress('error', 0, 0, error.message);
+    await finishExportJob(job.id, 'error', error.message);
+    await updateProgress('error', 0, 0, error.message, { jobId: job.id, conversationUrl });
     chrome.notifications.create({
       type: 'basic',
       iconUrl: 'icon48.png',
       title: 'Export Failed',
       message: error.message
     });
-    throw error;
   }
 }
 
-async function updateProgress(status, current, total, message) {
-  await chrome.storage.local.set({
-    exportProgress: { status, current, total, message }
-  });
+// e.g. "added 2 new turns, updated 1 edited turn"
+function describeTurnChanges({ added, changed, removed, restored }) {
+  const plural = count => count === 1 ? '' : 's';
+  return [
+    added.length > 0 ? `added ${added.length} new turn${plural(added.length)}` : null,
+    changed.length > 0 ? `updated ${changed.length} edited turn${plural(changed.length)}` : null,
+    removed.length > 0 ? `removed ${removed.length} branched-away turn${plural(removed.length)}` : null,
+    restored.length > 0 ? `restored ${restored.length} missing turn${plural(restored.length)}` : null
+  ].filter(Boolean).join(', ');
 }
 
-async function storeExportHistory(conversationUrl, exportData) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['exportHistory'], (result) => {
-      const history = result.exportHistory || {};
-      history[conversationUrl] = exportData;
-      chrome.storage.local.set({ exportHistory: history }, () => {
-        console.log('Stored export history for:', conversationUrl);
-        resolve();
-      });
-    });
-  });
+// Turns an export has to summarize: all of them, or for an update the new, edited and missing ones
+// Also returns the diff against the last export (null for full exports)
+async function getTurnsToProcess(job) {
+  const { turns, exportMode, existingExportData } = job.data;
+  if (exportMode !== 'update' || !existingExportData) {
+    return { turnsToProcess: turns, diff: null };
+  }
+  
+  const diff = await diffExportedTurns(turns, existingExportData, job.verification?.missingTurns || []);
+  const turnsToProcess = turns.filter(turn =>
+    diff.added.includes(turn.turnNumber) ||
+    diff.changed.includes(turn.turnNumber) ||
+    diff.restored.includes(turn.turnNumber)
+  );
+  return { turnsToProcess, diff };
 }
 
-async function getExportHistory(conversationUrl) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['exportHistory'], (result) => {
-      const history = result.exportHistory || {};
-      resolve(history[conversationUrl] || null);
-    });
+// Read conversations in background tabs, one at a time, and queue their exports
+// Exported conversations get an update when they changed; others a full export into target
+// ({ pageId, databaseId, destination, lensId, layoutId }), or an error when no target is given
+// The run is persisted as bulkExportRun so a worker stopped partway resumes it from the alarm:
+// { conversationUrls, target, next, result: { queued, upToDate, failed: [{ conversationUrl, error }] },
+//   startedAt, finishedAt }; a finished run stays until the next one so pages can show its result
+async function startConversationExports(conversationUrls, target = null) {
+  const { bulkExportRun } = await chrome.storage.local.get(['bulkExportRun']);
+  if (bulkExportRun && !bulkExportRun.finishedAt) {
+    throw new Error('Conversations from an earlier bulk export are still being read');
+  }
+  
+  await chrome.storage.local.set({
+    bulkExportRun: {
+      conversationUrls,
+      target,
+      next: 0,
+      result: { queued: 0, upToDate: 0, failed: [] },
+      startedAt: Date.now(),
+      finishedAt: null
+    }
   });
+  await chrome.alarms.create(EXPORT_QUEUE_ALARM, { periodInMinutes: 1 });
+  return runConversationExports();
 }
 
-async function createNotionToggles(summaries, pageId, notionToken, chatTitle, conversationUrl, NOTION_BLOCK_LIMIT) {
-  const timestamp = new Date().toLocaleString();
+// Work through the stored run; safe to call repeatedly (worker start, alarm)
+// Returns the run's result, or null when there is none or it is already being worked on
+async function runConversationExports() {
+  if (bulkExportRunning) return null;
+  bulkExportRunning = true;
   
-  // Create toggle blocks for each turn (only 2 levels of nesting in initial creation)
-  const toggleBlocks = summaries.map(summary => {
-    return {
-      object: 'block',
-      type: 'toggle',
-      toggle: {
-        rich_text: [{
-          type: 'text',
-          text: { content: summary.oneLine }
-        }],
-        children: [
-          {
-            object: 'block',
-            type: 'paragraph',
-            paragraph: {
-              rich_text: [{
-                type: 'text',
-                text: { content: summary.paragraph }
-              }]
-            }
-          },
-          {
-            object: 'block',
-            type: 'toggle',
-            toggle: {
-              rich_text: [{
-                type: 'text',
-                text: { content: 'Source Text' }
-              }]
-              // Children will be added in a second pass
-            }
-          }
-        ]
+  try {
+    const { bulkExportRun: run } = await chrome.storage.local.get(['bulkExportRun']);
+    if (!run || run.finishedAt) return null;
+    
+    while (run.next < run.conversationUrls.length) {
+      const conversationUrl = run.conversationUrls[run.next];
+      try {
+        const outcome = await queueConversationExport(conversationUrl, run.target);
+        run.result[outcome]++;
+      } catch (error) {
+        console.error(`Could not export ${conversationUrl}:`, error);
+        run.result.failed.push({ conversationUrl, error: error.message });
       }
-    };
-  });
-  
-  // Create master toggle with chat title containing all turns
-  const masterToggle = {
-    object: 'block',
-    type: 'toggle',
-    toggle: {
-      rich_text: [{
-        type: 'text',
-        text: { content: chatTitle || 'Claude Conversation' }
-      }],
-      children: [
-        {
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [
-              {
-                type: 'text',
-                text: { content: `Exported on ${timestamp} • ${summaries.length} turns • ` }
-              },
-              {
-                type: 'text',
-                text: { 
-                  content: 'View original',
-                  link: { url: conversationUrl }
-                }
-              }
-            ]
-          }
-        },
-        ...toggleBlocks
-      ]
+      run.next++;
+      await chrome.storage.local.set({ bulkExportRun: run });
     }
-  };
+    
+    run.finishedAt = Date.now();
+    await chrome.storage.local.set({ bulkExportRun: run });
+    return run.result;
+  } finally {
+    bulkExportRunning = false;
+  }
+}
+
+async function hasUnfinishedBulkExport() {
+  const { bulkExportRun } = await chrome.storage.local.get(['bulkExportRun']);
+  return !!bulkExportRun && !bulkExportRun.finishedAt;
+}
+
+// Read one conversation and queue its export; returns 'queued' or 'upToDate'
+async function queueConversationExport(conversationUrl, target) {
+  const exportData = await getExportHistory(conversationUrl);
+  if (!exportData && !target) {
+    throw new Error('Not in export history');
+  }
   
-  // Step 1: Create the master toggle with turns (2 levels of nesting)
-  const response1 = await fetch('https://api.notion.com/v1/blocks/' + pageId + '/children', {
-    method: 'PATCH',
-    headers: {
-      'Authorization': `Bearer ${notionToken}`,
-      'Content-Type': 'application/json',
-      'Notion-Version': '2022-06-28'
-    },
-    body: JSON.stringify({
-      children: [masterToggle]
-    })
+  const { turns, chatTitle } = await extractConversationInTab(conversationUrl);
+  
+  if (!exportData) {
+    await enqueueExportJob({ turns, chatTitle, conversationUrl, exportMode: 'full', ...target });
+    await startExportQueue();
+    return 'queued';
+  }
+  
+  const diff = await diffExportedTurns(turns, exportData);
+  if (!hasTurnChanges(diff)) {
+    // Deleted Notion blocks are still found by the update's own verification
+    await markExportChecked(conversationUrl);
+    return 'upToDate';
+  }
+  
+  await enqueueExportJob({
+    turns,
+    chatTitle,
+    conversationUrl,
+    exportMode: 'update',
+    existingExportData: exportData,
+    lensId: exportData.lensId
   });
+  await startExportQueue();
+  return 'queued';
+}
+
+// Exports run while the next conversation is being read
+async function startExportQueue() {
+  // The alarm restarts the queue if the worker is stopped mid-export
+  await chrome.alarms.create(EXPORT_QUEUE_ALARM, { periodInMinutes: 1 });
+  processExportQueue();
+}
+
+// Open a conversation in an inactive tab and extract it with the content script
+// The page renders after load, so extraction is retried until turns appear
+const TAB_EXTRACT_TIMEOUT = 30000;
+const TAB_EXTRACT_INTERVAL = 1000;
+
+async function extractConversationInTab(conversationUrl) {
+  const tab = await chrome.tabs.create({ url: conversationUrl, active: false });
   
-  if (!response1.ok) {
-    const errorData = await response1.json().catch(() => ({}));
-    throw new Error(`Notion API Error: ${errorData.message || response1.statusText}`);
+  try {
+    const deadline = Date.now() + TAB_EXTRACT_TIMEOUT;
+    let lastError = 'Conversation did not load';
+    
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, TAB_EXTRACT_INTERVAL));
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, {
+          action: 'extractConversation',
+          includeArtifacts: true,
+          includeAttachments: true
+        });
+        if (response && response.success && response.data.length > 0) {
+          return { turns: response.data, chatTitle: response.title || 'Claude Conversation' };
+        }
+        lastError = response?.error || 'No conversation turns found';
+      } catch (msgError) {
+        // Content script not injected yet
+        lastError = msgError.message;
+      }
+    }
+    
+    throw new Error(`Could not read the conversation: ${lastError}`);
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+// Check that an export's blocks are still in Notion before updating it
+// Returns { parentMissing, missingTurns, introBlockId }; turn toggles are direct children of the
+// parent block, so a single listing finds every missing turn
+async function verifyExportBlocks(exportData, notion) {
+  try {
+    const parent = await notion.getBlock(exportData.parentBlockId);
+    if (parent.archived || parent.in_trash) {
+      return { parentMissing: true, missingTurns: [], introBlockId: null };
+    }
+  } catch (error) {
+    if (!error.isNotFound) throw error;
+    return { parentMissing: true, missingTurns: [], introBlockId: null };
   }
   
-  const result1 = await response1.json();
+  const children = await notion.listChildren(exportData.parentBlockId);
+  const childIds = new Set(children.map(child => child.id));
+  const turnBlocks = getTurnBlocks(exportData);
+  const missingTurns = Object.keys(turnBlocks)
+    .map(Number)
+    .filter(turnNumber => turnNumber <= exportData.turnCount && !childIds.has(turnBlocks[turnNumber].toggleId))
+    .sort((a, b) => a - b);
   
-  // Step 2: Find all "Source Text" toggle blocks and populate them
-  const masterBlockId = result1.results[0].id;
+  return { parentMissing: false, missingTurns, introBlockId: children[0]?.id || null };
+}
+
+// Verification for the popup, using the stored export history and token
+async function verifyExportedConversation(conversationUrl) {
+  const exportData = await getExportHistory(conversationUrl);
+  const { notionToken } = await chrome.storage.local.get(['notionToken']);
+  if (!exportData || !exportData.parentBlockId || !notionToken) return null;
   
-  console.log('Created master block with ID:', masterBlockId);
+  return verifyExportBlocks(exportData, createNotionClient(notionToken));
+}
+
+// Each step checkpoints into the job so a restarted worker continues where it stopped
+async function executeExportJob(job) {
+  const { turns, chatTitle, conversationUrl, pageId, databaseId, exportMode, existingExportData, lensId } = job.data;
+  const { anthropicApiKey: apiKey, notionToken } = await chrome.storage.local.get(['anthropicApiKey', 'notionToken']);
+  const progressContext = { jobId: job.id, conversationUrl };
+  // Updates go to wherever the conversation was first exported
+  const destination = exportMode === 'update' && existingExportData
+    ? existingExportData.destination || 'page'
+    : job.data.destination || 'page';
+  // ...and add their turns in the layout it was exported with
+  const layout = getNotionLayout(exportMode === 'update' && existingExportData
+    ? existingExportData.layoutId
+    : job.data.layoutId);
+  const NOTION_BLOCK_LIMIT = 2000;
   
-  // Get children of master toggle
-  const response2 = await fetch(`https://api.notion.com/v1/blocks/${masterBlockId}/children`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${notionToken}`,
-      'Notion-Version': '2022-06-28'
-    }
-  });
+  if (!apiKey || !notionToken) {
+    throw new Error('Please configure your API keys in settings first');
+  }
+  const notion = createNotionClient(notionToken);
   
-  if (!response2.ok) {
-    let errorMessage = `HTTP ${response2.status}`;
-    try {
-      const errorData = await response2.json();
-      console.error('Notion API error response:', JSON.stringify(errorData, null, 2));
-      errorMessage = errorData.message || JSON.stringify(errorData);
-    } catch (e) {
-      errorMessage = response2.statusText || errorMessage;
+  // Updates reuse the lens the conversation was first exported with; resumed jobs keep their lens
+  const lens = await resolveLens(
+    job.lensId || (exportMode === 'update' && existingExportData?.lensId ? existingExportData.lensId : lensId)
+  );
+  if (job.lensId !== lens.id) {
+    job = await updateExportJob(job.id, { lensId: lens.id });
+  }
+  console.log(`Using lens: ${lens.name}`);
+  
+  // Updates start by checking the exported blocks; missing turns are re-created, a missing parent
+  // needs a fresh export
+  if (exportMode === 'update' && existingExportData && !job.verification) {
+    await updateProgress('starting', 0, 0, 'Checking the export in Notion...', progressContext);
+    const verification = await verifyExportBlocks(existingExportData, notion);
+    if (verification.parentMissing) {
+      throw new Error('This conversation was deleted from Notion. Re-export it from scratch instead of updating.');
     }
-    throw new Error(`Notion API Error: ${errorMessage}`);
+    job = await updateExportJob(job.id, { verification });
   }
   
-  const masterChildren = await response2.json();
+  // Determine which turns to process
+  const { turnsToProcess, diff } = await getTurnsToProcess(job);
   
-  // Process each turn toggle (skip the first child which is the timestamp paragraph)
-  for (let i = 1; i < masterChildren.results.length && i <= summaries.length; i++) {
-    const turnBlock = masterChildren.results[i];
-    const summaryIndex = i - 1;
-    const summary = summaries[summaryIndex];
+  if (diff) {
+    console.log(`Update mode: ${diff.added.length} new, ${diff.changed.length} edited, ${diff.removed.length} removed turns`);
     
-    // Get children of this turn toggle
-    const response3 = await fetch(`https://api.notion.com/v1/blocks/${turnBlock.id}/children`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${notionToken}`,
-        'Notion-Version': '2022-06-28'
-      }
-    });
-    
-    if (!response3.ok) continue;
+    if (!hasTurnChanges(diff)) {
+      throw new Error('No new or edited turns to export');
+    }
+  }
+  
+  // Large conversations can go through the Message Batches API; the job is parked until
+  // polling fills in its summaries, then comes back through here. Cached replies are filled in
+  // first, so only turns that still need the model count toward the batch
+  if (!job.batch && job.summaries.length === 0 && await shouldUseMessageBatch(turnsToProcess.length)) {
+    const cached = await Promise.all(turnsToProcess.map(turn => findCachedSummary(turn, lens)));
+    if (cached.some(Boolean)) {
+      job = await updateExportJob(job.id, { summaries: cached });
+    }
     
-    const turnChildren = await response3.json();
-    // The "Source Text" toggle should be the second child (index 1)
-    const sourceTextToggle = turnChildren.results[1];
+    const uncachedCount = cached.filter(summary => !summary).length;
+    if (uncachedCount > 0 && await shouldUseMessageBatch(uncachedCount)) {
+      await submitSummaryBatch(job, turnsToProcess, apiKey, lens, progressContext);
+      return null;
+    }
+  }
+  
+  // Update progress
+  await updateProgress('starting', job.summaries.filter(Boolean).length, turnsToProcess.length, 'Starting export...', progressContext);
+  
+  // Process each turn, skipping the ones summarized before a restart
+  const summaries = await summarizeTurns(turnsToProcess, apiKey, lens, turns.length, job.summaries, async (done) => {
+    job = await updateExportJob(job.id, { summaries: done });
+  }, progressContext);
+  
+  await updateProgress('creating', 0, summaries.length, 'Creating Notion blocks...', progressContext);
+  
+  const exportedAt = new Date().toISOString();
+  const model = getPrimaryModel(summaries) || existingExportData?.model || null;
+  
+  // Step 1: the block the turns go into (created once, reused when resuming)
+  if (!job.notion.parentBlockId) {
+    let parentBlockId;
+    let notionPageId;
     
-    if (sourceTextToggle && sourceTextToggle.type === 'toggle') {
-      // Chunk source text if needed
-      const userChunks = chunkText(summary.sourceUser, NOTION_BLOCK_LIMIT);
-      const assistantChunks = chunkText(summary.sourceAssistant, NOTION_BLOCK_LIMIT);
-      
-      // Build source text children
-      const sourceTextChildren = [
-        {
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: 'User:' },
-              annotations: { bold: true }
-            }]
-          }
-        },
-        ...userChunks.map(chunk => ({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: chunk }
-            }]
-          }
-        })),
-        {
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: 'Assistant:' },
-              annotations: { bold: true }
-            }]
-          }
-        },
-        ...assistantChunks.map(chunk => ({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: chunk }
-            }]
-          }
-        }))
-      ];
-      
-      // Add children to the source text toggle
-      await fetch(`https://api.notion.com/v1/blocks/${sourceTextToggle.id}/children`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${notionToken}`,
-          'Content-Type': 'application/json',
-          'Notion-Version': '2022-06-28'
-        },
-        body: JSON.stringify({
-          children: sourceTextChildren
-        })
+    if (exportMode === 'update' && existingExportData) {
+      // Append to existing block
+      parentBlockId = existingExportData.parentBlockId;
+      notionPageId = existingExportData.notionPageId;
+    } else if (destination === 'database') {
+      // Create a database row whose page holds the turns
+      parentBlockId = await createDatabaseRow(databaseId, notion, {
+        title: chatTitle || 'Claude Conversation',
+        url: conversationUrl,
+        exportedAt,
+        turnCount: turns.length,
+        model,
+        lens: lens.name
+      });
+      notionPageId = parentBlockId;
+    } else if (destination === 'childPage') {
+      // Create a page of its own inside the chosen page
+      parentBlockId = await createConversationPage(pageId, notion, chatTitle, conversationUrl, summaries.length, NOTION_BLOCK_LIMIT);
+      notionPageId = parentBlockId;
+    } else {
+      // Create new master toggle
+      parentBlockId = await createMasterToggle(pageId, notion, chatTitle, conversationUrl, summaries.length);
+      notionPageId = pageId;
+    }
+    
+    job = await updateExportJob(job.id, { notion: { ...job.notion, parentBlockId, notionPageId } });
+  }
+  
+  // Step 2: one turn toggle at a time
+  const previousBlocks = existingExportData ? getTurnBlocks(existingExportData) : {};
+  const changedTurnNumbers = diff ? diff.changed.filter(turnNumber => previousBlocks[turnNumber]) : [];
+  const restoredTurnNumbers = diff ? diff.restored : [];
+  job = await writeTurns(job, summaries, notion, NOTION_BLOCK_LIMIT, progressContext, layout, (turnNumber, written) => {
+    // Edited turns go right below their old blocks, which are archived afterwards
+    if (changedTurnNumbers.includes(turnNumber)) return getTurnBlockIds(previousBlocks[turnNumber]).slice(-1)[0];
+    if (!restoredTurnNumbers.includes(turnNumber)) return null;
+    
+    // Re-created turns go below the closest earlier turn still in Notion, or below the intro
+    const blocks = { ...previousBlocks, ...written };
+    const earlier = Object.keys(blocks)
+      .map(Number)
+      .filter(number => number < turnNumber && !(restoredTurnNumbers.includes(number) && !written[number]))
+      .sort((a, b) => b - a)[0];
+    return earlier ? getTurnBlockIds(blocks[earlier]).slice(-1)[0] : job.verification.introBlockId;
+  });
+  
+  // Old blocks of edited turns and blocks of branched-away turns
+  const removedTurnNumbers = diff ? diff.removed : [];
+  if (!job.notion.oldBlocksArchived) {
+    const oldBlockIds = [
+      ...[...changedTurnNumbers, ...removedTurnNumbers]
+        .filter(turnNumber => previousBlocks[turnNumber])
+        .flatMap(turnNumber => getTurnBlockIds(previousBlocks[turnNumber])),
+      // Restored turns lost their first block; layouts with several blocks per turn leave the rest behind
+      ...restoredTurnNumbers
+        .filter(turnNumber => previousBlocks[turnNumber])
+        .flatMap(turnNumber => getTurnBlockIds(previousBlocks[turnNumber]).slice(1))
+    ];
+    for (const blockId of oldBlockIds) {
+      await archiveBlock(blockId, notion);
+    }
+    job = await updateExportJob(job.id, { notion: { ...job.notion, oldBlocksArchived: true } });
+  }
+  
+  // Step 3: conversation overview linking every turn, regenerated on every update
+  const previousDigests = existingExportData?.turnDigests || [];
+  const turnDigests = turns.map(turn => {
+    const summary = summaries.find(existing => existing.turnNumber === turn.turnNumber);
+    return summary
+      ? buildTurnDigest(summary)
+      : previousDigests.find(digest => digest.turnNumber === turn.turnNumber) || buildFallbackTurnDigest(turn);
+  });
+  const turnBlocks = { ...previousBlocks, ...job.notion.turnBlocks };
+  removedTurnNumbers.forEach(turnNumber => delete turnBlocks[turnNumber]);
+  
+  if (!job.notion.overviewBlockId) {
+    await updateProgress('creating', summaries.length, summaries.length, 'Writing conversation overview...', progressContext);
+    try {
+      const overview = await summarizeConversation(apiKey, chatTitle, turnDigests);
+      const overviewBlockId = await writeConversationOverview(
+        notion, job.notion.parentBlockId, existingExportData?.overviewBlockId, overview,
+        turnDigests, turnBlocks, job.notion.notionPageId, NOTION_BLOCK_LIMIT
+      );
+      job = await updateExportJob(job.id, {
+        notion: { ...job.notion, overviewBlockId },
+        overviewUsage: overview.usage
       });
+    } catch (error) {
+      // The turns are already in Notion; a missing overview shouldn't fail the export
+      console.error('Conversation overview failed:', error);
+    }
+  }
+  
+  if (exportMode === 'update' && existingExportData && destination === 'database') {
+    await updateDatabaseRow(existingExportData.notionPageId, existingExportData.databaseId, notion, {
+      exportedAt,
+      turnCount: turns.length,
+      model
+    });
+  }
+  
+  // The conversation's own page follows renames on claude.ai
+  if (exportMode === 'update' && existingExportData && destination === 'childPage' && chatTitle) {
+    await notion.updatePage(existingExportData.notionPageId, {
+      properties: { title: { title: conversationPageTitle(chatTitle, NOTION_BLOCK_LIMIT) } }
+    });
+  }
+  
+  // Store/update export history
+  const historyEntry = {
+    conversationUrl,
+    conversationTitle: chatTitle,
+    exportedAt,
+    turnCount: turns.length,
+    destination,
+    databaseId: destination === 'database' ? (existingExportData?.databaseId || databaseId) : null,
+    notionPageId: job.notion.notionPageId,
+    parentBlockId: job.notion.parentBlockId,
+    overviewBlockId: job.notion.overviewBlockId || existingExportData?.overviewBlockId || null,
+    turnBlocks,
+    turnHashes: diff ? diff.turnHashes : await hashTurns(turns),
+    extractionSource: getExtractionSource(turns),
+    turnDigests,
+    lensId: lens.id,
+    lensName: lens.name,
+    layoutId: layout.id,
+    model,
+    usage: sumUsage([...summaries, { usage: job.overviewUsage }])
+  };
+  await storeExportHistory(conversationUrl, historyEntry);
+  return {
+    ...historyEntry,
+    changes: diff || { added: turns.map(turn => turn.turnNumber), changed: [], removed: [], restored: [] }
+  };
+}
+
+// Summarize turns through a pool of parallel requests; failed turns get a placeholder summary so the
+// export can continue. The pool runs up to the configured concurrency and adapts to the API's
+// rate-limit headers. Output keeps turn order.
+// completed holds summaries from before a restart or from a Message Batch (gaps are null);
+// onCheckpoint receives the list after each turn
+async function summarizeTurns(turnsToProcess, apiKey, lens, totalTurns, completed = [], onCheckpoint = null, progressContext = null) {
+  const summaries = [...completed];
+  const remaining = turnsToProcess.map((turn, i) => i).filter(i => !summaries[i]);
+  const { summaryConcurrency } = await getConcurrencySettings();
+  const throttle = createRateLimitThrottle(summaryConcurrency);
+  const clientOptions = { onRateLimit: rateLimits => throttle.update(rateLimits) };
+  let doneCount = turnsToProcess.length - remaining.length;
+  let fatalError = null;
+  
+  if (remaining.length > 0) {
+    await updateProgress('summarizing', doneCount, turnsToProcess.length, `Summarizing ${remaining.length} turns...`, progressContext);
+  }
+  
+  async function worker() {
+    while (remaining.length > 0 && !fatalError) {
+      const i = remaining.shift();
+      const turn = turnsToProcess[i];
+      
+      await throttle.acquire();
+      try {
+        if (fatalError) break;
+        summaries[i] = await handleSummarization(turn, apiKey, lens, clientOptions);
+      } catch (error) {
+        // A bad key or an unavailable model fails every turn the same way; stop instead of filling placeholders
+        if (error.isAuthError || error.isModelNotFound) {
+          fatalError = error;
+          break;
+        }
+        console.error(`Error summarizing turn ${turn.turnNumber}:`, error);
+        summaries[i] = {
+          turnNumber: turn.turnNumber,
+          oneLine: `Turn ${turn.turnNumber} (summary failed)`,
+          paragraph: 'Summary generation failed for this turn.',
+          sourceUser: turn.user,
+          sourceAssistant: turn.assistant,
+          sourceUserNodes: turn.userNodes,
+          sourceAssistantNodes: turn.assistantNodes,
+          artifacts: turn.artifacts || []
+        };
+      } finally {
+        throttle.release();
+      }
       
-      // Small delay to avoid rate limiting
-      await sleep(200);
+      doneCount++;
+      await updateProgress('summarizing', doneCount, turnsToProcess.length,
+        `Summarized turn ${turn.turnNumber} of ${totalTurns} (${doneCount}/${turnsToProcess.length} done)...`, progressContext);
+      
+      if (onCheckpoint) {
+        await onCheckpoint(summaries);
+      }
     }
   }
   
-  // Return the master block ID for future updates
-  return masterBlockId;
+  await Promise.all(Array.from({ length: Math.min(summaryConcurrency, remaining.length) }, worker));
+  
+  if (fatalError) {
+    throw fatalError;
+  }
+  return summaries;
 }
 
-async function appendNotionToggles(summaries, parentBlockId, notionToken, NOTION_BLOCK_LIMIT) {
-  // Create toggle blocks for new turns (only 2 levels of nesting in initial creation)
-  const toggleBlocks = summaries.map(summary => {
-    return {
+// Submit every turn without a summary as one Message Batch and park the job until it ends
+async function submitSummaryBatch(job, turnsToProcess, apiKey, lens, progressContext) {
+  const anthropic = createAnthropicClient(apiKey);
+  const [model] = await getSummaryModelCandidates();
+  
+  // Custom IDs keep the turn's index so results line up with turnsToProcess
+  const requests = turnsToProcess
+    .map((turn, i) => ({
+      customId: `turn-${i}`,
+      model,
+      prompt: buildLensPrompt(lens, turn.user, turn.assistant)
+    }))
+    .filter((request, i) => !job.summaries[i]);
+  
+  const batch = await anthropic.createBatch(requests);
+  console.log(`Submitted Message Batch ${batch.id} with ${requests.length} turns`);
+  
+  await updateExportJob(job.id, {
+    status: 'waiting',
+    batch: { id: batch.id, model, requestCounts: batch.request_counts, submittedAt: Date.now(), endedAt: null }
+  });
+  await updateProgress('summarizing', 0, turnsToProcess.length, 'Submitted as a Message Batch. Waiting for results...', progressContext);
+}
+
+// Check every job waiting on a Message Batch; ended batches fill in the job's summaries and
+// requeue it, and turns the batch could not summarize are retried one at a time when it runs
+let batchPollRunning = false;
+
+async function pollSummaryBatches() {
+  if (batchPollRunning) return;
+  batchPollRunning = true;
+  
+  try {
+    const { anthropicApiKey: apiKey } = await chrome.storage.local.get(['anthropicApiKey']);
+    const waiting = (await getExportJobs()).filter(job => job.status === 'waiting');
+    
+    for (const job of waiting) {
+      try {
+        const anthropic = createAnthropicClient(apiKey);
+        const batch = await anthropic.getBatch(job.batch.id);
+        
+        if (batch.processing_status !== 'ended') {
+          await updateExportJob(job.id, { batch: { ...job.batch, requestCounts: batch.request_counts } });
+          continue;
+        }
+        
+        const { turnsToProcess } = await getTurnsToProcess(job);
+        const lens = await resolveLens(job.lensId);
+        const results = await anthropic.getBatchResults(job.batch.id);
+        
+        const summaries = await Promise.all(turnsToProcess.map(async (turn, i) => {
+          // Filled from the summary cache before the batch was submitted
+          if (job.summaries[i]) return job.summaries[i];
+          
+          const result = results[`turn-${i}`];
+          if (!result || result.error) {
+            console.warn(`Batch could not summarize turn ${turn.turnNumber}:`, result?.error?.message || 'missing result');
+            return null;
+          }
+          await cacheTurnSummary(turn, lens, job.batch.model, result.message);
+          return buildTurnSummary(turn, lens, result.message);
+        }));
+        
+        console.log(`Message Batch ${job.batch.id} ended: ${summaries.filter(Boolean).length}/${summaries.length} turns summarized`);
+        await updateExportJob(job.id, {
+          status: 'queued',
+          summaries,
+          batch: { ...job.batch, requestCounts: batch.request_counts, endedAt: Date.now() }
+        });
+      } catch (error) {
+        if (error.isRetryable) {
+          console.warn(`Could not check Message Batch ${job.batch.id}, will retry:`, error.message);
+          continue;
+        }
+        console.error(`Message Batch ${job.batch.id} failed:`, error);
+        await finishExportJob(job.id, 'error', error.message);
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'icon48.png',
+          title: 'Export Failed',
+          message: error.message
+        });
+      }
+    }
+  } finally {
+    batchPollRunning = false;
+  }
+}
+
+// Service workers cannot create object URLs, and data URLs over ~2 MB are refused, so files are
+// downloaded from an object URL made by the offscreen document (offscreen.js)
+const OFFSCREEN_DOCUMENT_URL = 'offscreen.html';
+let offscreenDocumentCreating = null;
+
+// Object URLs handed to chrome.downloads by download ID; each is revoked once its download ends
+const pendingFileDownloads = new Map();
+
+chrome.downloads.onChanged.addListener(delta => {
+  if (!pendingFileDownloads.has(delta.id) || !delta.state || delta.state.current === 'in_progress') return;
+  
+  const url = pendingFileDownloads.get(delta.id);
+  pendingFileDownloads.delete(delta.id);
+  chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeBlobUrl', url }).catch(() => {});
+  if (pendingFileDownloads.size === 0) {
+    chrome.offscreen.closeDocument().catch(() => {});
+  }
+});
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+  
+  // Two exports finishing together must not both create the document
+  if (!offscreenDocumentCreating) {
+    offscreenDocumentCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_URL,
+      reasons: ['BLOBS'],
+      justification: 'Create object URLs for exported files'
+    }).finally(() => {
+      offscreenDocumentCreating = null;
+    });
+  }
+  await offscreenDocumentCreating;
+}
+
+async function downloadFile(content, mimeType, filename) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createBlobUrl', content, mimeType });
+  if (!response || !response.url) {
+    throw new Error('Could not prepare the file for download');
+  }
+  
+  const downloadId = await chrome.downloads.download({ url: response.url, filename, saveAs: false });
+  pendingFileDownloads.set(downloadId, response.url);
+}
+
+// Export to a local Markdown, JSON or HTML file; summaries are included when an API key is set
+async function handleFileExport(exportData) {
+  const { turns, chatTitle, conversationUrl, apiKey, format, lensId } = exportData;
+  
+  try {
+    if (!FILE_EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    
+    await updateProgress('starting', 0, turns.length, 'Starting export...');
+    
+    let lens = null;
+    let summaries = null;
+    if (apiKey) {
+      lens = await resolveLens(lensId);
+      console.log(`Using lens: ${lens.name}`);
+      summaries = await summarizeTurns(turns, apiKey, lens, turns.length);
+    }
+    
+    await updateProgress('creating', turns.length, turns.length, `Writing ${FILE_EXPORT_FORMATS[format].label} file...`);
+    
+    const { includeProcessSections } = await getExportContentSettings();
+    const exportedAt = new Date().toISOString();
+    const conversation = {
+      title: chatTitle || 'Claude Conversation',
+      url: conversationUrl,
+      exportedAt,
+      lens: lens ? { id: lens.id, name: lens.name } : null,
+      model: summaries ? getPrimaryModel(summaries) : null,
+      source: getExtractionSource(turns),
+      turns: turns.map((turn, i) => ({
+        turnNumber: turn.turnNumber,
+        summary: summaries ? {
+          title: summaries[i].oneLine,
+          sections: summaries[i].sections || [{ key: 'paragraph', label: 'Summary', type: 'text', value: summaries[i].paragraph }],
+          model: summaries[i].model || null
+        } : null,
+        user: turn.user,
+        assistant: turn.assistant,
+        userNodes: turn.userNodes,
+        assistantNodes: turn.assistantNodes,
+        artifacts: turn.artifacts || [],
+        // Embedded bytes would make the download URL several times their size
+        attachments: (turn.attachments || []).map(({ data, ...attachment }) => attachment),
+        ...getTurnProcess(turn, includeProcessSections),
+        timestamps: turn.timestamps || null,
+        branch: turn.branch || null,
+        messageIds: turn.messageIds || null
+      }))
+    };
+    
+    const content = buildFileExport(format, conversation);
+    const { mimeType } = FILE_EXPORT_FORMATS[format];
+    
+    await downloadFile(content, mimeType, buildExportFilename(conversation.title, format, exportedAt));
+    
+    await chrome.storage.local.remove(['exportProgress']);
+    
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icon48.png',
+      title: 'Export Complete',
+      message: `Saved ${turns.length} turns to a ${FILE_EXPORT_FORMATS[format].label} file`
+    });
+    
+  } catch (error) {
+    console.error('File export error:', error);
+    await updateProgress('error', 0, 0, error.message);
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icon48.png',
+      title: 'Export Failed',
+      message: error.message
+    });
+    throw error;
+  }
+}
+
+// Model that produced most of the summaries
+function getPrimaryModel(summaries) {
+  const counts = {};
+  summaries.forEach(summary => {
+    if (summary.model) counts[summary.model] = (counts[summary.model] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+// Property mapping saved for the database, or an automatic one when none was configured
+async function resolveDatabaseMapping(schema) {
+  const saved = await getDatabaseMapping(schema.id);
+  const mapping = validateMapping(schema, saved || autoMapProperties(schema));
+  if (!mapping.properties.title) {
+    throw new Error('The Notion database has no title property');
+  }
+  return mapping;
+}
+
+// Create one database row per conversation; returns the row's page ID
+// Turns become the row's page content, appended by writeTurns
+async function createDatabaseRow(databaseId, notion, values) {
+  const schema = await notion.getDatabase(databaseId);
+  const mapping = await resolveDatabaseMapping(schema);
+  const properties = buildDatabaseProperties(schema, mapping, {
+    ...values,
+    tags: mapping.defaultTags || []
+  });
+  
+  const page = await notion.createPage({
+    parent: { database_id: databaseId },
+    properties,
+    children: [{
       object: 'block',
-      type: 'toggle',
-      toggle: {
-        rich_text: [{
-          type: 'text',
-          text: { content: summary.oneLine }
-        }],
-        children: [
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [
           {
-            object: 'block',
-            type: 'paragraph',
-            paragraph: {
-              rich_text: [{
-                type: 'text',
-                text: { content: summary.paragraph }
-              }]
-            }
+            type: 'text',
+            text: { content: `${values.turnCount} turns • ` }
           },
           {
-            object: 'block',
-            type: 'toggle',
-            toggle: {
-              rich_text: [{
-                type: 'text',
-                text: { content: 'Source Text' }
-              }]
-              // Children will be added in a second pass
+            type: 'text',
+            text: {
+              content: 'View original',
+              link: { url: values.url }
             }
           }
         ]
       }
-    };
+    }]
   });
   
-  // Step 1: Append new turn toggles to the parent block
-  const response1 = await fetch(`https://api.notion.com/v1/blocks/${parentBlockId}/children`, {
-    method: 'PATCH',
-    headers: {
-      'Authorization': `Bearer ${notionToken}`,
-      'Content-Type': 'application/json',
-      'Notion-Version': '2022-06-28'
-    },
-    body: JSON.stringify({
-      children: toggleBlocks
-    })
+  console.log('Created database row with ID:', page.id);
+  
+  return page.id;
+}
+
+// Refresh the properties that change when new turns are appended
+async function updateDatabaseRow(rowPageId, databaseId, notion, values) {
+  const schema = await notion.getDatabase(databaseId);
+  const mapping = await resolveDatabaseMapping(schema);
+  const properties = buildDatabaseProperties(schema, mapping, values, ['exportedAt', 'turnCount', 'model']);
+  
+  if (Object.keys(properties).length === 0) return;
+  
+  await notion.updatePage(rowPageId, { properties });
+}
+
+// context ties queued export progress to its job: { jobId, conversationUrl }
+async function updateProgress(status, current, total, message, context = null) {
+  await chrome.storage.local.set({
+    exportProgress: { status, current, total, message, ...context }
   });
+}
+
+// Progress of one queued job, or of whatever is running when no job ID is given
+async function getExportProgress(jobId) {
+  const { exportProgress } = await chrome.storage.local.get(['exportProgress']);
+  if (!jobId) return exportProgress || null;
+  
+  const jobs = await getExportJobs();
+  const job = jobs.find(existing => existing.id === jobId);
+  if (!job || job.status === 'done') return null;
   
-  if (!response1.ok) {
-    const errorData = await response1.json().catch(() => ({}));
-    throw new Error(`Notion API Error: ${errorData.message || response1.statusText}`);
+  if (job.status === 'error') {
+    return { status: 'error', current: 0, total: 0, message: job.error, jobId };
   }
   
-  const result1 = await response1.json();
+  if (job.status === 'waiting') {
+    const counts = job.batch.requestCounts || {};
+    const done = (counts.succeeded || 0) + (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0);
+    const total = done + (counts.processing || 0);
+    return {
+      status: 'summarizing',
+      current: done,
+      total,
+      message: `Waiting for Message Batch: ${done} of ${total} turns summarized...`,
+      jobId
+    };
+  }
   
-  // Step 2: Populate "Source Text" toggles
-  for (let i = 0; i < result1.results.length; i++) {
-    const turnBlock = result1.results[i];
-    const summary = summaries[i];
-    
-    // Get children of this turn toggle
-    const response2 = await fetch(`https://api.notion.com/v1/blocks/${turnBlock.id}/children`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${notionToken}`,
-        'Notion-Version': '2022-06-28'
-      }
-    });
+  if (job.status === 'queued') {
+    const ahead = jobs.filter(existing => existing.status === 'running' ||
+      (existing.status === 'queued' && existing.createdAt < job.createdAt)).length;
+    return {
+      status: 'queued',
+      current: 0,
+      total: 0,
+      message: `Queued - waiting for ${ahead} export${ahead === 1 ? '' : 's'} to finish...`,
+      jobId
+    };
+  }
+  
+  return exportProgress?.jobId === jobId
+    ? exportProgress
+    : { status: 'starting', current: 0, total: 0, message: 'Resuming export...', jobId };
+}
+
+// Master toggle holding the conversation; turns are appended by writeTurns
+async function createMasterToggle(pageId, notion, chatTitle, conversationUrl, turnCount) {
+  const masterToggle = {
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: [{
+        type: 'text',
+        text: { content: chatTitle || 'Claude Conversation' }
+      }],
+      children: [buildIntroBlock(conversationUrl, turnCount)]
+    }
+  };
+  
+  const [masterBlock] = await notion.appendChildren(pageId, [masterToggle]);
+  const masterBlockId = masterBlock.id;
+  
+  console.log('Created master block with ID:', masterBlockId);
+  
+  // Return the master block ID for future updates
+  return masterBlockId;
+}
+
+// Icon and cover of the page created for each conversation
+const CONVERSATION_PAGE_ICON = '💬';
+const CONVERSATION_PAGE_COVER = 'https://www.notion.so/images/page-cover/gradients_8.png';
+
+// New page for the conversation inside the chosen page, holding what a master toggle would;
+// Notion lists it in the parent page as a link. Returns the new page's ID
+// Turns are appended by writeTurns
+async function createConversationPage(parentPageId, notion, chatTitle, conversationUrl, turnCount, NOTION_BLOCK_LIMIT) {
+  const page = await notion.createPage({
+    parent: { page_id: parentPageId },
+    icon: { type: 'emoji', emoji: CONVERSATION_PAGE_ICON },
+    cover: { type: 'external', external: { url: CONVERSATION_PAGE_COVER } },
+    properties: {
+      title: { title: conversationPageTitle(chatTitle, NOTION_BLOCK_LIMIT) }
+    },
+    children: [buildIntroBlock(conversationUrl, turnCount)]
+  });
+  
+  console.log('Created conversation page with ID:', page.id);
+  return page.id;
+}
+
+function conversationPageTitle(chatTitle, NOTION_BLOCK_LIMIT) {
+  return [{
+    type: 'text',
+    text: { content: (chatTitle || 'Claude Conversation').substring(0, NOTION_BLOCK_LIMIT) }
+  }];
+}
+
+// First line of an export: when it was made, how many turns, and a link to the conversation
+function buildIntroBlock(conversationUrl, turnCount) {
+  const timestamp = new Date().toLocaleString();
+  
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [
+        {
+          type: 'text',
+          text: { content: `Exported on ${timestamp} • ${turnCount} turns • ` }
+        },
+        {
+          type: 'text',
+          text: { 
+            content: 'View original',
+            link: { url: conversationUrl }
+          }
+        }
+      ]
+    }
+  };
+}
+
+// Write turns one at a time in the export's layout, checkpointing each into the job
+// A turn left half-written by a restart is archived and written again
+// getInsertAfter(turnNumber, writtenBlocks): block to place the turn below, or null to append it
+async function writeTurns(job, summaries, notion, NOTION_BLOCK_LIMIT, progressContext, layout, getInsertAfter = () => null) {
+  const { parentBlockId, notionPageId } = job.notion;
+  const { includeProcessSections } = await getExportContentSettings();
+  
+  // Jobs queued before turns could span several blocks have a single pendingBlockId
+  const pendingBlockIds = job.notion.pendingBlockIds || [job.notion.pendingBlockId].filter(Boolean);
+  if (pendingBlockIds.length > 0) {
+    for (const blockId of pendingBlockIds) {
+      await archiveBlock(blockId, notion);
+    }
+    job = await updateExportJob(job.id, { notion: { ...job.notion, pendingBlockIds: [] } });
+  }
+  
+  for (let i = job.notion.turnsWritten; i < summaries.length; i++) {
+    await updateProgress('creating', i, summaries.length, `Writing turn ${summaries[i].turnNumber} to Notion...`, progressContext);
     
-    if (!response2.ok) continue;
+    // Attachments, thinking and tool calls stay on the job's turns so they aren't copied into every summary
+    const turn = job.data.turns.find(candidate => candidate.turnNumber === summaries[i].turnNumber);
+    const processSections = turn ? buildProcessSections(getTurnProcess(turn, includeProcessSections), NOTION_BLOCK_LIMIT) : [];
     
-    const turnChildren = await response2.json();
-    // The "Source Text" toggle should be the second child (index 1)
-    const sourceTextToggle = turnChildren.results[1];
+    // Top-level blocks are checkpointed as soon as they exist so a restart archives a half-written turn
+    const turnBlockIds = [];
+    const checkpoint = async (results) => {
+      turnBlockIds.push(...results.map(block => block.id));
+      job = await updateExportJob(job.id, { notion: { ...job.notion, pendingBlockIds: [...turnBlockIds] } });
+    };
     
-    if (sourceTextToggle && sourceTextToggle.type === 'toggle') {
-      // Chunk source text if needed
-      const userChunks = chunkText(summary.sourceUser, NOTION_BLOCK_LIMIT);
-      const assistantChunks = chunkText(summary.sourceAssistant, NOTION_BLOCK_LIMIT);
-      
-      // Build source text children
-      const sourceTextChildren = [
+    const { toggleId, sourceTextId, blockIds } = await writeTurn(
+      parentBlockId, summaries[i], turn, processSections, layout, notion, NOTION_BLOCK_LIMIT, notionPageId,
+      getInsertAfter(summaries[i].turnNumber, job.notion.turnBlocks), checkpoint
+    );
+    job = await updateExportJob(job.id, {
+      notion: {
+        ...job.notion,
+        turnsWritten: i + 1,
+        pendingBlockIds: [],
+        turnBlocks: { ...job.notion.turnBlocks, [summaries[i].turnNumber]: { toggleId, sourceTextId, blockIds } }
+      }
+    });
+  }
+  
+  return job;
+}
+
+// Write one turn: first the layout's blocks, then the source text linking to the artifact toggles
+// just created. Returns { toggleId, sourceTextId, blockIds }
+async function writeTurn(parentBlockId, summary, turn, processSections, layout, notion, NOTION_BLOCK_LIMIT, pageId, after, onAppended) {
+  const builder = NOTION_LAYOUT_BUILDERS[layout.id];
+  const parts = {
+    summaryBlocks: buildSummaryBlocks(summary, NOTION_BLOCK_LIMIT),
+    artifactToggles: buildArtifactToggles(summary, NOTION_BLOCK_LIMIT),
+    processToggles: processSections.map(section => titledToggleBlock(section.title, section.blocks))
+  };
+  
+  const blocks = builder.build(summary, parts, NOTION_BLOCK_LIMIT);
+  const nodes = await notion.appendBlockTree(parentBlockId, blocks, after, onAppended);
+  const blockIds = nodes.map(node => node.id);
+  
+  const placement = builder.placeSource(blocks, parts, NOTION_BLOCK_LIMIT);
+  if (!placement) {
+    return { toggleId: blockIds[0], sourceTextId: null, blockIds };
+  }
+  
+  // Links from the source text to each artifact toggle
+  const artifactIds = findArtifactToggleIds(blocks, nodes);
+  const artifactLinks = {};
+  (summary.artifacts || []).forEach((artifact, index) => {
+    if (artifactIds[index]) artifactLinks[artifact.id] = notionBlockUrl(pageId, artifactIds[index]);
+  });
+  
+  // Assistant Markdown becomes native Notion blocks (code, headings, lists, tables)
+  const attachmentBlocks = await buildAttachmentBlocks(turn ? turn.attachments : [], notion, NOTION_BLOCK_LIMIT);
+  const sourceBlocks = placement.wrap(buildSourceTextBlocks(summary, NOTION_BLOCK_LIMIT, artifactLinks, attachmentBlocks));
+  
+  let sourceNodes;
+  if (placement.into !== undefined) {
+    sourceNodes = await notion.appendBlockTree(blockIds[placement.into], sourceBlocks);
+  } else {
+    sourceNodes = await notion.appendBlockTree(parentBlockId, sourceBlocks, blockIds[placement.after], onAppended);
+    blockIds.splice(placement.after + 1, 0, ...sourceNodes.map(node => node.id));
+  }
+  return {
+    toggleId: blockIds[0],
+    sourceTextId: placement.sourceText ? sourceNodes[0].id : null,
+    blockIds
+  };
+}
+
+// Artifact toggle IDs in order, found by walking the written blocks alongside what appendBlockTree
+// returned. Artifact toggles always have content, so their own IDs are always returned
+function findArtifactToggleIds(blocks, nodes) {
+  const ids = [];
+  blocks.forEach((block, index) => {
+    const node = nodes[index];
+    if (!node) return;
+    if (block.type === 'toggle' && block.toggle.rich_text[0]?.text.content === ARTIFACT_TOGGLE_LABEL) {
+      ids.push(node.id);
+    } else if (node.children) {
+      ids.push(...findArtifactToggleIds(block[block.type].children || [], node.children));
+    }
+  });
+  return ids;
+}
+
+// Overview toggle placed right below the intro line; the previous overview is replaced
+async function writeConversationOverview(notion, parentBlockId, previousOverviewId, overview, turnDigests, turnBlocks, pageId, NOTION_BLOCK_LIMIT) {
+  if (previousOverviewId) {
+    await archiveBlock(previousOverviewId, notion);
+  }
+  
+  const intro = await notion.getFirstChild(parentBlockId);
+  // The contents list can pass 100 items; the block-tree writer appends it in batches of its own
+  const [overviewNode] = await notion.appendBlockTree(
+    parentBlockId,
+    [buildOverviewToggle(overview, NOTION_BLOCK_LIMIT, buildContentsBlocks(turnDigests, turnBlocks, pageId, NOTION_BLOCK_LIMIT))],
+    intro ? intro.id : null
+  );
+  
+  return overviewNode.id;
+}
+
+async function archiveBlock(blockId, notion) {
+  try {
+    await notion.deleteBlock(blockId);
+  } catch (error) {
+    // Already gone is fine
+    if (!error.isNotFound) throw error;
+  }
+}
+
+// Bold label starting each artifact toggle's title
+const ARTIFACT_TOGGLE_LABEL = 'Artifact: ';
+
+// How each layout (see utils/exportLayouts.js) lays out a turn
+// build(summary, parts, NOTION_BLOCK_LIMIT): the turn's top-level blocks, from the summary blocks,
+//   artifact toggles and Thinking / Searches & Sources / Tool calls toggles in parts
+// placeSource(blocks, parts, NOTION_BLOCK_LIMIT): where the source text goes once the artifact
+//   toggles exist, or null for none
+//   { wrap, into, sourceText }: append wrap(sourceBlocks) inside blocks[into]
+//   { wrap, after, sourceText }: insert wrap(sourceBlocks) below blocks[after]
+//   sourceText: the first wrapped block is a Source Text toggle
+const NOTION_LAYOUT_BUILDERS = {
+  toggles: {
+    build: (summary, parts) => [
+      titledToggleBlock(summary.oneLine, [...parts.summaryBlocks, ...parts.artifactToggles, ...parts.processToggles])
+    ],
+    placeSource: () => ({ wrap: sourceTextToggles, into: 0, sourceText: true })
+  },
+  headings: {
+    build: (summary, parts) => [
+      turnHeadingBlock('heading_2', summary.oneLine),
+      {
+        object: 'block',
+        type: 'callout',
+        callout: {
+          icon: { type: 'emoji', emoji: '💡' },
+          rich_text: [{
+            type: 'text',
+            text: { content: 'Summary' },
+            annotations: { bold: true }
+          }],
+          children: parts.summaryBlocks
+        }
+      },
+      ...parts.artifactToggles,
+      ...parts.processToggles
+    ],
+    placeSource: blocks => ({ wrap: sourceTextToggles, after: blocks.length - 1, sourceText: true })
+  },
+  transcript: {
+    // The question and answer go right below the heading, artifacts and thinking after them
+    build: (summary, parts) => [
+      turnHeadingBlock('heading_3', summary.oneLine),
+      ...parts.artifactToggles,
+      ...parts.processToggles
+    ],
+    placeSource: () => ({ wrap: sourceBlocks => sourceBlocks, after: 0 })
+  },
+  summary: {
+    build: (summary, parts) => [turnHeadingBlock('heading_3', summary.oneLine), ...parts.summaryBlocks],
+    placeSource: () => null
+  },
+  columns: {
+    // Summary and source text side by side below the heading
+    build: (summary, parts) => [
+      turnHeadingBlock('heading_3', summary.oneLine),
+      ...parts.artifactToggles,
+      ...parts.processToggles
+    ],
+    placeSource: (blocks, parts, NOTION_BLOCK_LIMIT) => ({
+      wrap: sourceBlocks => [{
+        object: 'block',
+        type: 'column_list',
+        column_list: {
+          children: [
+            columnBlock([labelledParagraphBlock('Summary', '', NOTION_BLOCK_LIMIT), ...parts.summaryBlocks]),
+            columnBlock(sourceBlocks)
+          ]
+        }
+      }],
+      after: 0
+    })
+  }
+};
+
+// One toggle per artifact with its content
+function buildArtifactToggles(summary, NOTION_BLOCK_LIMIT) {
+  return (summary.artifacts || []).map(artifact => ({
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: [
         {
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: 'User:' },
-              annotations: { bold: true }
-            }]
-          }
+          type: 'text',
+          text: { content: ARTIFACT_TOGGLE_LABEL },
+          annotations: { bold: true }
         },
-        ...userChunks.map(chunk => ({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: chunk }
-            }]
-          }
-        })),
         {
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: 'Assistant:' },
-              annotations: { bold: true }
-            }]
-          }
+          type: 'text',
+          text: { content: `${artifact.title} (${formatArtifactKind(artifact)})`.substring(0, NOTION_BLOCK_LIMIT) }
+        }
+      ],
+      children: buildArtifactBlocks(artifact)
+    }
+  }));
+}
+
+// Titles can be model-written, so long ones are split into segments Notion accepts
+function titledToggleBlock(title, children) {
+  return {
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: splitRichText([{
+        type: 'text',
+        text: { content: title }
+      }]),
+      children
+    }
+  };
+}
+
+function sourceTextToggles(sourceBlocks) {
+  return [titledToggleBlock('Source Text', sourceBlocks)];
+}
+
+// Heading carrying the turn's one-line summary
+function turnHeadingBlock(type, text) {
+  return {
+    object: 'block',
+    type,
+    [type]: {
+      rich_text: splitRichText([{
+        type: 'text',
+        text: { content: text }
+      }])
+    }
+  };
+}
+
+function columnBlock(children) {
+  return { object: 'block', type: 'column', column: { children } };
+}
+
+const PROCESS_SECTION_TITLES = {
+  thinking: 'Thinking',
+  searches: 'Searches & Sources',
+  toolCalls: 'Tool calls'
+};
+
+// [{ title, blocks }] for the turn's non-empty thinking, searches and tool calls (see getTurnProcess)
+function buildProcessSections(process, NOTION_BLOCK_LIMIT) {
+  const sections = [];
+  
+  if (process.thinking.length > 0) {
+    sections.push({
+      title: PROCESS_SECTION_TITLES.thinking,
+      blocks: process.thinking.flatMap(text => markdownToNotionBlocks(text))
+    });
+  }
+  
+  if (process.searches.length > 0 || process.citations.length > 0) {
+    const blocks = [];
+    process.searches.forEach(search => {
+      blocks.push(labelledParagraphBlock('Search: ', search.query || 'Web search', NOTION_BLOCK_LIMIT));
+      search.sources.forEach(source => blocks.push(sourceLinkBlock('bulleted_list_item', source, NOTION_BLOCK_LIMIT)));
+    });
+    if (process.citations.length > 0) {
+      blocks.push(labelledParagraphBlock('Cited in the response', '', NOTION_BLOCK_LIMIT));
+      process.citations.forEach(source => blocks.push(sourceLinkBlock('numbered_list_item', source, NOTION_BLOCK_LIMIT)));
+    }
+    sections.push({ title: PROCESS_SECTION_TITLES.searches, blocks });
+  }
+  
+  if (process.toolCalls.length > 0) {
+    const blocks = [];
+    process.toolCalls.forEach(call => {
+      blocks.push(labelledParagraphBlock(call.name, call.isError ? ' (failed)' : '', NOTION_BLOCK_LIMIT));
+      if (call.input) blocks.push(...codeBlocks(call.input, 'json'));
+      if (call.output) blocks.push(...codeBlocks(call.output, ''));
+    });
+    sections.push({ title: PROCESS_SECTION_TITLES.toolCalls, blocks });
+  }
+  
+  return sections;
+}
+
+// Paragraph starting with a bold label
+function labelledParagraphBlock(label, text, NOTION_BLOCK_LIMIT) {
+  const richText = [{
+    type: 'text',
+    text: { content: label.substring(0, NOTION_BLOCK_LIMIT) },
+    annotations: { bold: true }
+  }];
+  if (text) {
+    richText.push({ type: 'text', text: { content: text.substring(0, NOTION_BLOCK_LIMIT) } });
+  }
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: richText } };
+}
+
+// List item linking to a web source by its title
+function sourceLinkBlock(type, source, NOTION_BLOCK_LIMIT) {
+  const link = { type: 'text', text: { content: source.title.substring(0, NOTION_BLOCK_LIMIT) } };
+  if (/^https?:\/\//i.test(source.url) && source.url.length <= NOTION_BLOCK_LIMIT) {
+    link.text.link = { url: source.url };
+  }
+  return { object: 'block', type, [type]: { rich_text: [link] } };
+}
+
+// File extensions Notion expects for uploads whose name has none
+const ATTACHMENT_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+// Blocks for a turn's attachments: captured files are uploaded to Notion, the rest are linked or named
+// A failed upload falls back to the link so the export carries on
+async function buildAttachmentBlocks(attachments, notion, NOTION_BLOCK_LIMIT) {
+  const blocks = [];
+  for (const attachment of attachments || []) {
+    const upload = await getAttachmentUpload(attachment);
+    if (upload) {
+      try {
+        const fileUpload = await notion.uploadFile(upload.blob, upload.filename);
+        blocks.push(fileUploadBlock(attachment, upload.blob.type, fileUpload.id, NOTION_BLOCK_LIMIT));
+        continue;
+      } catch (error) {
+        if (error.isAuthError) throw error;
+        console.warn(`Could not upload attachment ${attachment.name}:`, error);
+      }
+    }
+    blocks.push(attachmentLinkBlock(attachment, NOTION_BLOCK_LIMIT));
+  }
+  return blocks;
+}
+
+// { blob, filename } to upload, or null when only the attachment's metadata was captured
+// Pasted and text attachments are uploaded as the text Claude read from them
+// Queued jobs keep captured bytes in the attachment store
+async function getAttachmentUpload(attachment) {
+  const data = await loadAttachmentData(attachment).catch(error => {
+    console.warn(`Could not load attachment ${attachment.name}:`, error);
+    return null;
+  });
+  
+  let blob = null;
+  if (data) {
+    blob = dataUrlToBlob(data);
+  } else if (attachment.extractedContent) {
+    blob = new Blob([attachment.extractedContent], { type: 'text/plain' });
+  }
+  if (!blob) return null;
+  
+  const extension = ATTACHMENT_EXTENSIONS[blob.type];
+  const hasExtension = data
+    ? /\.[a-z0-9]{2,5}$/i.test(attachment.name)
+    : /\.txt$/i.test(attachment.name);
+  return { blob, filename: hasExtension || !extension ? attachment.name : `${attachment.name}.${extension}` };
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [header, payload] = dataUrl.split(',');
+  const mimeType = header.substring(5).split(';')[0] || 'application/octet-stream';
+  if (!header.endsWith(';base64')) {
+    return new Blob([decodeURIComponent(payload)], { type: mimeType });
+  }
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+// Image, PDF or file block showing an uploaded attachment, captioned with its name and size
+function fileUploadBlock(attachment, mimeType, fileUploadId, NOTION_BLOCK_LIMIT) {
+  let type = 'file';
+  if (attachment.kind === 'image' || mimeType.startsWith('image/')) {
+    type = 'image';
+  } else if (mimeType === 'application/pdf') {
+    type = 'pdf';
+  }
+  
+  return {
+    object: 'block',
+    type,
+    [type]: {
+      type: 'file_upload',
+      file_upload: { id: fileUploadId },
+      caption: [{
+        type: 'text',
+        text: { content: describeAttachment(attachment).substring(0, NOTION_BLOCK_LIMIT) }
+      }]
+    }
+  };
+}
+
+// "Attachment: name (kind, size)", linked to claude.ai when the file has a URL there
+function attachmentLinkBlock(attachment, NOTION_BLOCK_LIMIT) {
+  const description = {
+    type: 'text',
+    text: { content: describeAttachment(attachment).substring(0, NOTION_BLOCK_LIMIT) }
+  };
+  if (attachment.url && attachment.url.length <= NOTION_BLOCK_LIMIT) {
+    description.text.link = { url: attachment.url };
+  }
+  
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [
+        {
+          type: 'text',
+          text: { content: 'Attachment: ' },
+          annotations: { bold: true }
         },
-        ...assistantChunks.map(chunk => ({
+        description
+      ]
+    }
+  };
+}
+
+// Anchor link to a block on its page
+function notionBlockUrl(pageId, blockId) {
+  const blockAnchor = blockId.replace(/-/g, '');
+  return pageId
+    ? `https://www.notion.so/${pageId.replace(/-/g, '')}#${blockAnchor}`
+    : `https://www.notion.so/${blockAnchor}`;
+}
+
+const ARTIFACT_KIND_LABELS = {
+  code: 'Code',
+  document: 'Document',
+  react: 'React component',
+  html: 'HTML',
+  svg: 'SVG image',
+  mermaid: 'Mermaid diagram'
+};
+
+function formatArtifactKind(artifact) {
+  const label = ARTIFACT_KIND_LABELS[artifact.kind] || 'Artifact';
+  return artifact.kind === 'code' && artifact.language ? `${label} · ${artifact.language}` : label;
+}
+
+// Artifact toggle contents: documents as native blocks, everything else as a code block
+function buildArtifactBlocks(artifact) {
+  if (!artifact.content) {
+    return [{
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [{
+          type: 'text',
+          text: { content: 'Artifact content could not be captured. Open the original conversation to view it.' },
+          annotations: { italic: true }
+        }]
+      }
+    }];
+  }
+  
+  if (artifact.kind === 'document') {
+    return markdownToNotionBlocks(artifact.content);
+  }
+  
+  return codeBlocks(artifact.content, artifact.language);
+}
+
+// Source Text toggle contents: the extracted node tree when content.js provided one,
+// otherwise the user's message as plain paragraphs and the assistant's Markdown as native blocks
+// attachmentBlocks go between the User label and the user's text
+function buildSourceTextBlocks(summary, NOTION_BLOCK_LIMIT, artifactLinks = {}, attachmentBlocks = []) {
+  const userBlocks = summary.sourceUserNodes && summary.sourceUserNodes.length > 0
+    ? nodesToNotionBlocks(summary.sourceUserNodes)
+    : chunkText(summary.sourceUser, NOTION_BLOCK_LIMIT).map(chunk => paragraphBlock(chunk, NOTION_BLOCK_LIMIT));
+  const assistantBlocks = summary.sourceAssistantNodes && summary.sourceAssistantNodes.length > 0
+    ? nodesToNotionBlocks(summary.sourceAssistantNodes, artifactLinks)
+    : markdownToNotionBlocks(summary.sourceAssistant, artifactLinks, summary.artifacts);
+  
+  return [
+    {
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [{
+          type: 'text',
+          text: { content: 'User:' },
+          annotations: { bold: true }
+        }]
+      }
+    },
+    ...attachmentBlocks,
+    ...userBlocks,
+    {
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [{
+          type: 'text',
+          text: { content: 'Assistant:' },
+          annotations: { bold: true }
+        }]
+      }
+    },
+    ...assistantBlocks
+  ];
+}
+
+// Render the lens output for a turn; the single-paragraph case matches the classic layout
+function buildSummaryBlocks(summary, NOTION_BLOCK_LIMIT) {
+  const sections = summary.sections || [{ type: 'text', label: 'Summary', value: summary.paragraph }];
+  const filled = sections.filter(section => section.value && section.value.length > 0);
+  
+  if (filled.length === 0) {
+    return [paragraphBlock(summary.paragraph || 'No summary available.', NOTION_BLOCK_LIMIT)];
+  }
+  
+  if (filled.length === 1 && filled[0].type === 'text') {
+    return [paragraphBlock(filled[0].value, NOTION_BLOCK_LIMIT)];
+  }
+  
+  const blocks = [];
+  filled.forEach(section => {
+    blocks.push({
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [{
+          type: 'text',
+          text: { content: section.label },
+          annotations: { bold: true }
+        }]
+      }
+    });
+    
+    if (section.type === 'list') {
+      section.value.forEach(item => {
+        blocks.push({
           object: 'block',
-          type: 'paragraph',
-          paragraph: {
+          type: 'bulleted_list_item',
+          bulleted_list_item: {
             rich_text: [{
               type: 'text',
-              text: { content: chunk }
+              text: { content: item.substring(0, NOTION_BLOCK_LIMIT) }
             }]
           }
-        }))
-      ];
-      
-      // Add children to the source text toggle
-      await fetch(`https://api.notion.com/v1/blocks/${sourceTextToggle.id}/children`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${notionToken}`,
-          'Content-Type': 'application/json',
-          'Notion-Version': '2022-06-28'
-        },
-        body: JSON.stringify({
-          children: sourceTextChildren
-        })
+        });
       });
-      
-      // Small delay to avoid rate limiting
-      await sleep(200);
+    } else {
+      blocks.push(paragraphBlock(section.value, NOTION_BLOCK_LIMIT));
     }
+  });
+  
+  return blocks;
+}
+
+// Executive summary, key decisions and topics, then the contents list
+function buildOverviewToggle(overview, NOTION_BLOCK_LIMIT, contentsBlocks = []) {
+  const children = [];
+  
+  if (overview.executiveSummary) {
+    children.push(headingBlock('Executive Summary'));
+    children.push(paragraphBlock(overview.executiveSummary, NOTION_BLOCK_LIMIT));
+  }
+  
+  if (overview.keyDecisions.length > 0) {
+    children.push(headingBlock('Key Decisions'));
+    overview.keyDecisions.forEach(decision => children.push(bulletBlock(decision, NOTION_BLOCK_LIMIT)));
+  }
+  
+  if (overview.topics.length > 0) {
+    children.push(headingBlock('Topics'));
+    overview.topics.forEach(topic => children.push(bulletBlock(topic, NOTION_BLOCK_LIMIT)));
   }
+  
+  children.push(headingBlock('Contents'));
+  children.push(...contentsBlocks);
+  
+  return {
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: [{
+        type: 'text',
+        text: { content: 'Overview' },
+        annotations: { bold: true }
+      }],
+      children
+    }
+  };
+}
+
+// Table of contents: one numbered item per turn, linked to its toggle when the block ID is known
+function buildContentsBlocks(turnDigests, turnBlocks, pageId, NOTION_BLOCK_LIMIT) {
+  return turnDigests.map(digest => {
+    const blockId = turnBlocks[digest.turnNumber]?.toggleId;
+    const text = {
+      content: `Turn ${digest.turnNumber}: ${digest.title}`.substring(0, NOTION_BLOCK_LIMIT)
+    };
+    if (blockId) {
+      text.link = { url: notionBlockUrl(pageId, blockId) };
+    }
+    
+    return {
+      object: 'block',
+      type: 'numbered_list_item',
+      numbered_list_item: {
+        rich_text: [{ type: 'text', text }]
+      }
+    };
+  });
+}
+
+function headingBlock(text) {
+  return {
+    object: 'block',
+    type: 'heading_3',
+    heading_3: {
+      rich_text: [{
+        type: 'text',
+        text: { content: text }
+      }]
+    }
+  };
+}
+
+function bulletBlock(text, NOTION_BLOCK_LIMIT) {
+  return {
+    object: 'block',
+    type: 'bulleted_list_item',
+    bulleted_list_item: {
+      rich_text: [{
+        type: 'text',
+        text: { content: text.substring(0, NOTION_BLOCK_LIMIT) }
+      }]
+    }
+  };
+}
+
+function paragraphBlock(text, NOTION_BLOCK_LIMIT) {
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [{
+        type: 'text',
+        text: { content: text.substring(0, NOTION_BLOCK_LIMIT) }
+      }]
+    }
+  };
 }
 
 function chunkText(text, maxLength) {
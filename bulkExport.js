@@ -0,0 +1,262 @@
+// Bulk export page script - lists conversations from a claude.ai tab and queues the selected ones
+
+const destinationDiv = document.getElementById('destination');
+const lensSelect = document.getElementById('lensSelect');
+const layoutSelect = document.getElementById('layoutSelect');
+const searchInput = document.getElementById('searchInput');
+const reloadBtn = document.getElementById('reloadBtn');
+const selectAllInput = document.getElementById('selectAll');
+const selectionText = document.getElementById('selectionText');
+const exportSelectedBtn = document.getElementById('exportSelectedBtn');
+const conversationList = document.getElementById('conversationList');
+const backBtn = document.getElementById('backBtn');
+const statusDiv = document.getElementById('status');
+
+// The popup passes the claude.ai tab whose sidebar is listed
+const sourceTabId = parseInt(new URLSearchParams(location.search).get('tabId'), 10);
+
+// Conversation URLs ticked in the list
+const selectedUrls = new Set();
+
+let conversations = [];
+let exportHistory = {};
+// { pageId, databaseId, destination } from the popup's Notion selection, null when none is chosen
+let exportTarget = null;
+let exporting = false;
+
+loadDestination();
+loadLenses();
+loadLayouts();
+loadConversations();
+loadBulkExportRun();
+
+// Show which conversation is being read while the export is queued, then the run's result
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.exportHistory) {
+    exportHistory = changes.exportHistory.newValue || {};
+    renderConversations();
+  }
+  const run = changes.bulkExportRun?.newValue;
+  if (exporting && run) {
+    showBulkExportRun(run);
+  }
+});
+
+// A run still being read when the page opens (e.g. after a worker restart) is followed too
+async function loadBulkExportRun() {
+  const { bulkExportRun } = await chrome.storage.local.get(['bulkExportRun']);
+  if (bulkExportRun && !bulkExportRun.finishedAt) {
+    exporting = true;
+    renderConversations();
+    showBulkExportRun(bulkExportRun);
+  }
+}
+
+function showBulkExportRun(run) {
+  if (!run.finishedAt) {
+    const conversationUrl = run.conversationUrls[run.next];
+    const conversation = conversations.find(item => item.url === conversationUrl);
+    showStatus('info', `Reading ${run.next + 1} of ${run.conversationUrls.length}: ${conversation ? conversation.title : conversationUrl}...`);
+    return;
+  }
+
+  exporting = false;
+  const { queued, upToDate, failed } = run.result;
+  const parts = [`${queued} export${queued === 1 ? '' : 's'} queued`];
+  if (upToDate > 0) {
+    parts.push(`${upToDate} already up to date`);
+  }
+  if (failed.length > 0) {
+    parts.push(`${failed.length} failed (${failed[0].error})`);
+  }
+  showStatus(failed.length > 0 ? 'error' : 'success',
+    `${parts.join(', ')}. Exports continue in the background; follow them in Export History.`);
+  selectedUrls.clear();
+  renderConversations();
+}
+
+backBtn.addEventListener('click', () => {
+  window.close();
+});
+
+reloadBtn.addEventListener('click', loadConversations);
+searchInput.addEventListener('input', renderConversations);
+
+selectAllInput.addEventListener('change', () => {
+  getVisibleConversations().forEach(conversation => {
+    if (selectAllInput.checked) {
+      selectedUrls.add(conversation.url);
+    } else {
+      selectedUrls.delete(conversation.url);
+    }
+  });
+  renderConversations();
+});
+
+exportSelectedBtn.addEventListener('click', () => {
+  const conversationUrls = conversations
+    .map(conversation => conversation.url)
+    .filter(url => selectedUrls.has(url));
+  if (conversationUrls.length === 0 || !exportTarget) return;
+
+  exporting = true;
+  renderConversations();
+  showStatus('info', `Reading ${conversationUrls.length} conversation${conversationUrls.length === 1 ? '' : 's'}...`);
+
+  chrome.runtime.sendMessage({
+    action: 'bulkExport',
+    conversationUrls,
+    target: { ...exportTarget, lensId: lensSelect.value, layoutId: layoutSelect.value }
+  }, (response) => {
+    // Progress and the result arrive through bulkExportRun; a worker restart closes this
+    // channel while the stored run carries on, so only a refused start is reported here
+    if (chrome.runtime.lastError || !response || response.success) return;
+    exporting = false;
+    renderConversations();
+    showStatus('error', response.error || 'Bulk export failed');
+  });
+});
+
+async function loadDestination() {
+  const stored = await chrome.storage.local.get([
+    'exportTarget', 'selectedPageId', 'selectedPageTitle', 'selectedDatabaseId', 'selectedDatabaseTitle'
+  ]);
+
+  if (stored.exportTarget === 'notionDatabase' && stored.selectedDatabaseId) {
+    exportTarget = { destination: 'database', databaseId: stored.selectedDatabaseId, pageId: null };
+    destinationDiv.textContent = `New exports go to the database "${stored.selectedDatabaseTitle || 'Untitled'}"`;
+  } else if ((stored.exportTarget || 'notion') === 'notion' && stored.selectedPageId) {
+    exportTarget = { destination: 'page', pageId: stored.selectedPageId, databaseId: null };
+    destinationDiv.textContent = `New exports go to the page "${stored.selectedPageTitle || 'Untitled'}"`;
+  } else if (stored.exportTarget === 'notionChildPage' && stored.selectedPageId) {
+    exportTarget = { destination: 'childPage', pageId: stored.selectedPageId, databaseId: null };
+    destinationDiv.textContent = `New exports become pages inside "${stored.selectedPageTitle || 'Untitled'}"`;
+  } else {
+    exportTarget = null;
+    destinationDiv.textContent = 'Choose a Notion page or database in the popup first; bulk exports go to Notion.';
+  }
+  renderConversations();
+}
+
+async function loadLenses() {
+  const lenses = await getLenses();
+  const { selectedLensId } = await chrome.storage.local.get(['selectedLensId']);
+
+  lenses.forEach(lens => {
+    lensSelect.appendChild(new Option(lens.isDefault ? `${lens.name} (default)` : lens.name, lens.id));
+  });
+  const selected = lenses.find(lens => lens.id === selectedLensId) || lenses.find(lens => lens.isDefault) || lenses[0];
+  lensSelect.value = selected.id;
+}
+
+async function loadLayouts() {
+  const { selectedLayoutId } = await chrome.storage.local.get(['selectedLayoutId']);
+
+  NOTION_LAYOUTS.forEach(layout => {
+    layoutSelect.appendChild(new Option(layout.name, layout.id));
+  });
+  layoutSelect.value = getNotionLayout(selectedLayoutId).id;
+}
+
+async function loadConversations() {
+  exportHistory = await getAllExportHistory();
+
+  try {
+    const response = await chrome.tabs.sendMessage(sourceTabId, { action: 'listConversations' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from the claude.ai tab');
+    }
+    conversations = response.data;
+    statusDiv.className = 'status';
+  } catch (error) {
+    conversations = [];
+    showStatus('error', `Could not read the claude.ai sidebar. Keep the claude.ai tab open and reload it. (${error.message})`);
+  }
+
+  // Drop selections that are no longer listed
+  [...selectedUrls].forEach(url => {
+    if (!conversations.some(conversation => conversation.url === url)) selectedUrls.delete(url);
+  });
+  renderConversations();
+}
+
+function getVisibleConversations() {
+  const query = searchInput.value.trim().toLowerCase();
+  return conversations.filter(conversation => !query || conversation.title.toLowerCase().includes(query));
+}
+
+function renderConversations() {
+  const visible = getVisibleConversations();
+
+  exportSelectedBtn.textContent = selectedUrls.size > 0 ? `Export Selected (${selectedUrls.size})` : 'Export Selected';
+  exportSelectedBtn.disabled = exporting || selectedUrls.size === 0 || !exportTarget;
+  selectionText.textContent = selectedUrls.size > 0 ? `${selectedUrls.size} selected` : 'Select all';
+  selectAllInput.checked = visible.length > 0 && visible.every(conversation => selectedUrls.has(conversation.url));
+
+  conversationList.innerHTML = '';
+
+  if (visible.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'section empty';
+    empty.textContent = conversations.length === 0
+      ? 'No conversations found in the sidebar'
+      : 'No conversations match your filter';
+    conversationList.appendChild(empty);
+    return;
+  }
+
+  visible.forEach(conversation => conversationList.appendChild(renderConversation(conversation)));
+}
+
+function renderConversation(conversation) {
+  const item = document.createElement('label');
+  item.className = 'conversation-item';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedUrls.has(conversation.url);
+  checkbox.disabled = exporting;
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedUrls.add(conversation.url);
+    } else {
+      selectedUrls.delete(conversation.url);
+    }
+    renderConversations();
+  });
+  item.appendChild(checkbox);
+
+  const body = document.createElement('div');
+  body.className = 'conversation-body';
+
+  const title = document.createElement('div');
+  title.className = 'conversation-title';
+  const titleText = document.createElement('span');
+  titleText.textContent = conversation.title;
+  titleText.title = conversation.title;
+  title.appendChild(titleText);
+
+  const historyKey = findExportHistoryKey(exportHistory, conversation.url);
+  const exported = historyKey ? exportHistory[historyKey] : null;
+  if (exported) {
+    const badge = document.createElement('span');
+    badge.className = 'badge exported';
+    badge.textContent = `Exported, ${exported.turnCount} turn${exported.turnCount === 1 ? '' : 's'}`;
+    title.appendChild(badge);
+  }
+  body.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.className = 'conversation-meta';
+  meta.textContent = conversation.url;
+  body.appendChild(meta);
+
+  item.appendChild(body);
+  return item;
+}
+
+function showStatus(type, message) {
+  statusDiv.className = `status ${type}`;
+  statusDiv.textContent = message;
+}
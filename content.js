@@ -43,51 +43,635 @@
     return document.title.replace(' - Claude', '').trim() || 'Claude Conversation';
   }
 
-  // Function to extract all conversation turns
-  function extractConversation() {
-    const turns = [];
+  // Elements that are UI chrome rather than message content
+  const CHROME_SELECTOR = [
+    'button',
+    'svg',
+    'script',
+    'style',
+    'textarea',
+    '[role="button"]',
+    '[role="toolbar"]',
+    '.sr-only',
+    '.katex-html',
+    '[data-testid="action-bar-copy"]',
+    '[data-testid="action-bar-retry"]'
+  ].join(', ');
+
+  // Artifact cards rendered inline in assistant messages
+  const ARTIFACT_CARD_SELECTOR = [
+    '[data-testid="artifact-block"]',
+    '[data-testid*="artifact-card"]',
+    '.artifact-block-cell'
+  ].join(', ');
+
+  // Side panel that shows an opened artifact
+  const ARTIFACT_PANEL_SELECTOR = [
+    '[data-testid="artifact-panel"]',
+    '[data-testid="artifact-view"]',
+    '#artifact-panel',
+    '[aria-label="Artifact panel"]'
+  ].join(', ');
+
+  // Collapsible parts of an assistant message that are not its answer
+  const THINKING_SELECTOR = [
+    '[data-testid="thinking-block"]',
+    '[data-testid*="thinking"]'
+  ].join(', ');
+  const SEARCH_SELECTOR = [
+    '[data-testid*="web-search"]',
+    '[data-testid*="search-results"]'
+  ].join(', ');
+  const TOOL_CALL_SELECTOR = [
+    '[data-testid*="tool-use"]',
+    '[data-testid*="tool-call"]'
+  ].join(', ');
+  const PROCESS_SELECTOR = [THINKING_SELECTOR, SEARCH_SELECTOR, TOOL_CALL_SELECTOR].join(', ');
+
+  const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+  const BLOCK_CONTAINER_TAGS = ['div', 'section', 'article', 'main', 'figure', 'details', 'header', 'footer'];
+
+  // Find the element holding the message body, excluding the surrounding controls
+  function getMessageRoot(msg, isUser) {
+    const selector = isUser
+      ? '[data-testid="user-message"]'
+      : '.font-claude-message, .font-claude-response';
+    if (msg.matches(selector)) return msg;
+    return msg.querySelector(selector) || msg;
+  }
+
+  function isChrome(element) {
+    return element.matches(CHROME_SELECTOR);
+  }
+
+  // Claude renders user text with white-space: pre-wrap, so line breaks must be kept there
+  const preformattedCache = new WeakMap();
+  function isPreformatted(element) {
+    if (!element) return false;
+    if (!preformattedCache.has(element)) {
+      preformattedCache.set(element, getComputedStyle(element).whiteSpace.startsWith('pre'));
+    }
+    return preformattedCache.get(element);
+  }
+
+  function getMathExpression(element) {
+    const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+    return (annotation ? annotation.textContent : element.textContent).trim();
+  }
+
+  // Language from a code element's class (language-xxx) or the label Claude renders above the block
+  function detectCodeLanguage(pre, wrapper) {
+    const code = pre.querySelector('code') || pre;
+    const classMatch = (code.className || '').match(/language-([\w#+.-]+)/);
+    if (classMatch) return classMatch[1];
+
+    if (wrapper && wrapper !== pre) {
+      const clone = wrapper.cloneNode(true);
+      clone.querySelectorAll('pre, ' + CHROME_SELECTOR).forEach(el => el.remove());
+      const label = clone.textContent.trim();
+      if (label && label.length <= 30 && !/\s/.test(label)) return label;
+    }
+    return '';
+  }
+
+  // A container is a code wrapper when all its text besides the <pre> is a short label
+  function findCodeWrapper(element) {
+    const pres = element.querySelectorAll('pre');
+    if (pres.length !== 1) return null;
+    const outside = element.textContent.length - pres[0].textContent.length;
+    return outside <= 40 ? pres[0] : null;
+  }
+
+  // Walk a DOM subtree and produce block nodes:
+  // paragraph, heading, code, list, table, quote, math, image, divider
+  function collectBlocks(parent) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+      const trimmed = trimInline(inline);
+      if (trimmed.length > 0) {
+        blocks.push({ type: 'paragraph', children: trimmed });
+      }
+      inline = [];
+    };
+
+    parent.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        inline.push(...collectInline(child));
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      // Artifact cards are usually buttons, so check them before skipping chrome
+      if (child.matches(ARTIFACT_CARD_SELECTOR)) {
+        flush();
+        blocks.push(collectArtifactCard(child));
+        return;
+      }
+      // Thinking, searches and tool calls are collected separately by collectProcess
+      if (child.matches(PROCESS_SELECTOR) || isChrome(child)) {
+        return;
+      }
+
+      const tag = child.tagName.toLowerCase();
+
+      if (child.classList.contains('katex-display')) {
+        flush();
+        blocks.push({ type: 'math', expression: getMathExpression(child), display: true });
+      } else if (tag === 'p') {
+        flush();
+        const children = trimInline(collectInline(child));
+        if (children.length > 0) blocks.push({ type: 'paragraph', children });
+      } else if (HEADING_TAGS.includes(tag)) {
+        flush();
+        blocks.push({ type: 'heading', level: Number(tag[1]), children: trimInline(collectInline(child)) });
+      } else if (tag === 'pre') {
+        flush();
+        blocks.push({ type: 'code', language: detectCodeLanguage(child, null), text: child.textContent.replace(/\n$/, '') });
+      } else if (tag === 'ul' || tag === 'ol') {
+        flush();
+        blocks.push(collectList(child, tag === 'ol'));
+      } else if (tag === 'table') {
+        flush();
+        blocks.push(collectTable(child));
+      } else if (tag === 'blockquote') {
+        flush();
+        blocks.push({ type: 'quote', children: collectBlocks(child) });
+      } else if (tag === 'hr') {
+        flush();
+        blocks.push({ type: 'divider' });
+      } else if (tag === 'img') {
+        flush();
+        blocks.push({ type: 'image', src: child.src, alt: child.alt || '' });
+      } else if (tag === 'br') {
+        inline.push({ type: 'text', text: '\n' });
+      } else if (BLOCK_CONTAINER_TAGS.includes(tag)) {
+        flush();
+        const pre = child.querySelector(ARTIFACT_CARD_SELECTOR) ? null : findCodeWrapper(child);
+        if (pre) {
+          blocks.push({ type: 'code', language: detectCodeLanguage(pre, child), text: pre.textContent.replace(/\n$/, '') });
+        } else {
+          blocks.push(...collectBlocks(child));
+        }
+      } else {
+        inline.push(...collectInline(child));
+      }
+    });
+
+    flush();
+    return blocks;
+  }
+
+  // Artifacts found while walking the current message; reset per message by extractConversation
+  let artifactSink = [];
+
+  // Record an artifact card and return the node that references it from the message
+  function collectArtifactCard(card) {
+    const titleElement = card.querySelector('[data-testid="artifact-title"], .leading-tight, .font-medium');
+    const lines = (card.innerText || card.textContent).split('\n').map(line => line.trim()).filter(Boolean);
+    const title = (titleElement ? titleElement.textContent.trim() : lines[0]) || 'Untitled artifact';
+    const label = lines.filter(line => line !== title).join(' ');
+    const { kind, language } = classifyArtifact(label, title);
+
+    const artifact = {
+      id: `artifact-${artifactSink.length + 1}`,
+      title,
+      kind,
+      language,
+      content: null,
+      element: card
+    };
+    artifactSink.push(artifact);
+
+    return { type: 'artifact', artifactId: artifact.id, title, kind };
+  }
+
+  // Map the card's subtitle (e.g. "Code · TypeScript", "Document", "Interactive artifact") to a kind
+  function classifyArtifact(label, title) {
+    const text = `${label} ${title}`.toLowerCase();
+    const codeLabel = label.match(/code\s*[·•-]\s*([\w#+.]+)/i);
+
+    if (/\bsvg\b/.test(text)) return { kind: 'svg', language: 'xml' };
+    if (/mermaid|diagram/.test(text)) return { kind: 'mermaid', language: 'mermaid' };
+    if (/react|\b[jt]sx\b|interactive/.test(text)) {
+      return { kind: 'react', language: /\btsx\b/.test(text) ? 'typescript' : 'javascript' };
+    }
+    if (/\bhtml\b|web ?page|website/.test(text)) return { kind: 'html', language: 'html' };
+    if (codeLabel) return { kind: 'code', language: codeLabel[1] };
+    if (/document|markdown/.test(text)) return { kind: 'document', language: 'markdown' };
+    return { kind: 'code', language: '' };
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async function waitFor(check, timeout = 3000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const result = check();
+      if (result) return result;
+      await wait(100);
+    }
+    return null;
+  }
+
+  // Open the artifact in Claude's side panel and read its source from the code view
+  async function captureArtifactContent(artifact) {
+    const card = artifact.element;
+    const clickable = card.matches('button, [role="button"]')
+      ? card
+      : card.querySelector('button, [role="button"]') || card;
+    clickable.click();
+
+    const panel = await waitFor(() => {
+      const candidate = document.querySelector(ARTIFACT_PANEL_SELECTOR);
+      return candidate && candidate.textContent.includes(artifact.title) ? candidate : null;
+    });
+    if (!panel) {
+      console.warn('Artifact panel did not open for:', artifact.title);
+      return;
+    }
+
+    // The panel opens on the preview for documents and interactive artifacts
+    const codeTab = Array.from(panel.querySelectorAll('button, [role="tab"]'))
+      .find(button => button.textContent.trim().toLowerCase() === 'code');
+    if (codeTab) {
+      codeTab.click();
+      await wait(300);
+    }
+
+    const code = await waitFor(() => panel.querySelector('pre code, pre'), 1500);
+    if (code) {
+      artifact.content = code.textContent.replace(/\n$/, '');
+    } else if (artifact.kind === 'document') {
+      // Documents without a code view: serialize the rendered content
+      const body = panel.querySelector('.font-claude-message, .prose, article') || panel;
+      const previousSink = artifactSink;
+      artifactSink = [];
+      artifact.content = nodesToMarkdown(collectBlocks(body)).trim();
+      artifactSink = previousSink;
+    }
+  }
+
+  function closeArtifactPanel() {
+    const panel = document.querySelector(ARTIFACT_PANEL_SELECTOR);
+    if (!panel) return;
+    const closeButton = panel.querySelector('button[aria-label*="close" i], [data-testid="close-artifact"]');
+    if (closeButton) {
+      closeButton.click();
+    } else {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    }
+  }
+
+  // Fill in artifact content for every turn, then drop the DOM references
+  async function captureArtifacts(turns) {
+    let opened = false;
+    for (const turn of turns) {
+      for (const artifact of turn.artifacts) {
+        try {
+          await captureArtifactContent(artifact);
+          opened = true;
+        } catch (error) {
+          console.warn('Failed to capture artifact:', artifact.title, error);
+        }
+      }
+    }
+    if (opened) closeArtifactPanel();
+  }
+
+  // Thinking, searches and tool calls shown with an assistant message, in the shape of emptyProcess
+  // Collapsed sections are only captured as far as claude.ai keeps their content in the page;
+  // citations are ordinary links in the answer there, so they need no extra handling
+  function collectProcess(msg) {
+    const process = emptyProcess();
+    const textLines = element => (element.innerText || element.textContent)
+      .split('\n').map(line => line.trim()).filter(Boolean);
     
-    // Find all message containers in the conversation
-    // Claude.ai structure: look for user and assistant message blocks
-    const messages = document.querySelectorAll('[data-test-render-count]');
+    // Only the outermost section when they are nested
+    const sections = Array.from(msg.querySelectorAll(PROCESS_SELECTOR)).filter(element => {
+      const outer = element.parentElement && element.parentElement.closest(PROCESS_SELECTOR);
+      return !outer || !msg.contains(outer);
+    });
     
-    if (messages.length === 0) {
-      // Fallback: try alternative selectors
-      const allMessages = document.querySelectorAll('.font-user-message, .font-claude-message');
-      
-      allMessages.forEach((msg, index) => {
-        const isUser = msg.classList.contains('font-user-message') || 
-                       msg.closest('[data-is-user-message="true"]') !== null;
-        
-        const text = msg.innerText || msg.textContent || '';
-        
-        if (text.trim()) {
-          turns.push({
-            role: isUser ? 'user' : 'assistant',
-            content: text.trim(),
-            index: index
-          });
-        }
+    sections.forEach(element => {
+      if (element.matches(THINKING_SELECTOR)) {
+        const previousSink = artifactSink;
+        artifactSink = [];
+        const text = nodesToMarkdown(collectBlocks(element)).trim();
+        artifactSink = previousSink;
+        if (text) process.thinking.push(text);
+      } else if (element.matches(SEARCH_SELECTOR)) {
+        const lines = textLines(element);
+        process.searches.push({
+          query: (lines[0] || '').replace(/^searched( the web)?( for)?:?\s*/i, ''),
+          sources: Array.from(element.querySelectorAll('a[href^="http"]')).map(link => ({
+            title: link.textContent.trim() || link.href,
+            url: link.href
+          }))
+        });
+      } else {
+        const lines = textLines(element);
+        const code = element.querySelectorAll('pre');
+        process.toolCalls.push({
+          name: lines[0] || 'Tool',
+          input: code[0] ? code[0].textContent.replace(/\n$/, '') : '',
+          output: code[1] ? code[1].textContent.replace(/\n$/, '') : (code.length === 0 ? lines.slice(1).join('\n') : ''),
+          isError: false
+        });
+      }
+    });
+    
+    return process;
+  }
+  
+  // Uploaded images and file cards shown with a user message, outside its text
+  const ATTACHMENT_CARD_SELECTOR = [
+    '[data-testid="file-thumbnail"]',
+    '[data-testid*="attachment"]'
+  ].join(', ');
+  
+  // Larger files are linked instead of uploaded, to keep export jobs small
+  const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+  
+  // Attachment metadata of a user message; image data is read separately by captureAttachments
+  function collectAttachments(msg, root) {
+    const attachments = [];
+    const outsideText = element => element !== root && !root.contains(element);
+    
+    // Tiny images next to a message are icons and avatars, not uploads
+    const isUpload = image => outsideText(image) && !(image.width > 0 && image.width < 32);
+    
+    Array.from(msg.querySelectorAll('img')).filter(isUpload).forEach(image => {
+      attachments.push({
+        name: image.alt || `Image ${attachments.length + 1}`,
+        kind: 'image',
+        mimeType: null,
+        size: null,
+        fileId: null,
+        extractedContent: null,
+        url: image.currentSrc || image.src || null,
+        data: null
       });
-    } else {
-      // Primary method: extract from data attributes
-      messages.forEach((msg, index) => {
-        // Determine if this is a user or assistant message
-        const isUser = msg.querySelector('[data-testid="user-message"]') !== null ||
-                       msg.closest('[data-is-user-message="true"]') !== null;
-        
-        // Get the text content
-        const text = msg.innerText || msg.textContent || '';
-        
-        if (text.trim()) {
-          turns.push({
-            role: isUser ? 'user' : 'assistant',
-            content: text.trim(),
-            index: index
-          });
+    });
+    
+    Array.from(msg.querySelectorAll(ATTACHMENT_CARD_SELECTOR))
+      .filter(card => outsideText(card) && !card.querySelector('img'))
+      .forEach(card => {
+        const lines = (card.innerText || card.textContent).split('\n').map(line => line.trim()).filter(Boolean);
+        attachments.push({
+          name: lines[0] || 'Untitled file',
+          kind: 'file',
+          mimeType: null,
+          size: null,
+          fileId: null,
+          extractedContent: null,
+          url: null,
+          data: null
+        });
+      });
+    
+    return attachments;
+  }
+  
+  function readBlobAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+  
+  // Download each attachment with a URL while the page's session is available, as a data URL
+  // Blob URLs only work inside this page, so they are dropped afterwards
+  async function captureAttachments(pairs) {
+    for (const pair of pairs) {
+      for (const attachment of pair.attachments || []) {
+        if (!attachment.url) continue;
+        try {
+          const response = await fetch(attachment.url, { credentials: 'include' });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const blob = await response.blob();
+          attachment.mimeType = attachment.mimeType || blob.type || null;
+          attachment.size = attachment.size || blob.size;
+          if (blob.size <= MAX_ATTACHMENT_BYTES) {
+            attachment.data = await readBlobAsDataUrl(blob);
+          }
+        } catch (error) {
+          console.warn('Failed to capture attachment:', attachment.name, error);
         }
+        attachment.url = attachment.url.startsWith('blob:') ? null : new URL(attachment.url, location.origin).href;
+      }
+    }
+  }
+
+  // Inline nodes: text (with marks and optional href), math and image
+  function collectInline(node, marks = {}, href = null) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      let text = node.textContent;
+      if (!isPreformatted(node.parentElement)) {
+        text = text.replace(/\s+/g, ' ');
+      }
+      return text ? [{ type: 'text', text, marks, href }] : [];
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || isChrome(node)) {
+      return [];
+    }
+
+    const tag = node.tagName.toLowerCase();
+
+    if (node.classList.contains('katex')) {
+      return [{ type: 'math', expression: getMathExpression(node) }];
+    }
+    if (tag === 'br') {
+      return [{ type: 'text', text: '\n', marks, href }];
+    }
+    if (tag === 'img') {
+      return [{ type: 'image', src: node.src, alt: node.alt || '' }];
+    }
+
+    let childMarks = marks;
+    let childHref = href;
+    if (tag === 'strong' || tag === 'b') childMarks = { ...marks, bold: true };
+    if (tag === 'em' || tag === 'i') childMarks = { ...marks, italic: true };
+    if (tag === 's' || tag === 'del' || tag === 'strike') childMarks = { ...marks, strikethrough: true };
+    if (tag === 'code') childMarks = { ...marks, code: true };
+    if (tag === 'a' && /^https?:\/\//i.test(node.href)) childHref = node.href;
+
+    const result = [];
+    node.childNodes.forEach(child => {
+      result.push(...collectInline(child, childMarks, childHref));
+    });
+    return result;
+  }
+
+  function collectList(list, ordered) {
+    const items = [];
+    list.querySelectorAll(':scope > li').forEach(li => {
+      const checkbox = li.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+      items.push({
+        checked: checkbox ? checkbox.checked : null,
+        children: collectBlocks(li)
       });
+    });
+    return { type: 'list', ordered, items };
+  }
+
+  function collectTable(table) {
+    const rows = [];
+    let hasHeader = false;
+    table.querySelectorAll('tr').forEach((tr, rowIndex) => {
+      const cells = Array.from(tr.children).filter(cell => /^(td|th)$/i.test(cell.tagName));
+      if (rowIndex === 0 && (tr.closest('thead') || cells.every(cell => cell.tagName === 'TH'))) {
+        hasHeader = true;
+      }
+      rows.push(cells.map(cell => trimInline(collectInline(cell))));
+    });
+    return { type: 'table', hasHeader, rows };
+  }
+
+  // Drop leading/trailing whitespace-only text and trim the outer edges
+  function trimInline(nodes) {
+    const result = nodes.filter(node => node.type !== 'text' || node.text.length > 0);
+    while (result.length > 0 && result[0].type === 'text' && !result[0].text.trim()) result.shift();
+    while (result.length > 0 && result[result.length - 1].type === 'text' && !result[result.length - 1].text.trim()) result.pop();
+    if (result.length > 0 && result[0].type === 'text') {
+      result[0] = { ...result[0], text: result[0].text.replace(/^\s+/, '') };
+    }
+    const last = result.length - 1;
+    if (last >= 0 && result[last].type === 'text') {
+      result[last] = { ...result[last], text: result[last].text.replace(/\s+$/, '') };
+    }
+    return result;
+  }
+
+  // Serialize a node tree to Markdown so string consumers keep code fences, lists and links
+  function nodesToMarkdown(nodes, indent = '', separator = '\n\n') {
+    return nodes.map(node => blockToMarkdown(node, indent)).filter(Boolean).join(separator);
+  }
+
+  function blockToMarkdown(node, indent) {
+    switch (node.type) {
+      case 'paragraph':
+        return indent + inlineToMarkdown(node.children).split('\n').join('\n' + indent);
+      case 'heading':
+        return indent + '#'.repeat(node.level) + ' ' + inlineToMarkdown(node.children);
+      case 'code': {
+        const fence = node.text.includes('```') ? '~~~' : '```';
+        return [indent + fence + node.language, ...node.text.split('\n').map(line => indent + line), indent + fence].join('\n');
+      }
+      case 'list':
+        return node.items.map((item, index) => {
+          const marker = node.ordered ? `${index + 1}. ` : '- ';
+          const task = item.checked === null ? '' : (item.checked ? '[x] ' : '[ ] ');
+          const body = nodesToMarkdown(item.children, indent + ' '.repeat(marker.length), '\n').trimStart();
+          return indent + marker + task + body;
+        }).join('\n');
+      case 'table': {
+        if (node.rows.length === 0) return '';
+        const width = Math.max(...node.rows.map(row => row.length));
+        const toRow = row => indent + '| ' + Array.from({ length: width }, (_, i) =>
+          inlineToMarkdown(row[i] || []).replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ') + ' |';
+        const header = node.hasHeader ? node.rows[0] : new Array(width).fill([]);
+        const body = node.hasHeader ? node.rows.slice(1) : node.rows;
+        return [toRow(header), indent + '|' + ' --- |'.repeat(width), ...body.map(toRow)].join('\n');
+      }
+      case 'quote':
+        return nodesToMarkdown(node.children).split('\n').map(line => indent + '> ' + line).join('\n');
+      case 'math':
+        return `${indent}$$\n${indent}${node.expression}\n${indent}$$`;
+      case 'image':
+        return `${indent}![${node.alt}](${node.src})`;
+      case 'divider':
+        return indent + '---';
+      case 'artifact':
+        return `${indent}[Artifact: ${node.title}]`;
+      default:
+        return '';
     }
+  }
+
+  function inlineToMarkdown(nodes) {
+    return nodes.map(node => {
+      if (node.type === 'math') return `$${node.expression}$`;
+      if (node.type === 'image') return `![${node.alt}](${node.src})`;
+
+      let text = node.text;
+      if (!text.trim()) return text;
+      if (node.marks.code) {
+        text = text.includes('`') ? '`` ' + text + ' ``' : '`' + text + '`';
+      } else {
+        if (node.marks.bold) text = `**${text}**`;
+        if (node.marks.italic) text = `*${text}*`;
+        if (node.marks.strikethrough) text = `~~${text}~~`;
+      }
+      if (node.href) text = `[${text}](${node.href})`;
+      return text;
+    }).join('');
+  }
+
+  // Ways of finding the message containers, tried in order until one matches
+  const MESSAGE_STRATEGIES = [
+    {
+      // Primary method: message wrappers carry a render counter
+      name: 'render-count',
+      selector: '[data-test-render-count]',
+      isUser: msg => msg.querySelector('[data-testid="user-message"]') !== null ||
+                     msg.closest('[data-is-user-message="true"]') !== null
+    },
+    {
+      // Fallback: message bodies styled by role
+      name: 'message-classes',
+      selector: '.font-user-message, .font-claude-message',
+      isUser: msg => msg.classList.contains('font-user-message') ||
+                     msg.closest('[data-is-user-message="true"]') !== null
+    }
+  ];
+  
+  // { strategy, messages } of the first strategy with matches; strategy is null when none match
+  function findMessages() {
+    for (const strategy of MESSAGE_STRATEGIES) {
+      const messages = document.querySelectorAll(strategy.selector);
+      if (messages.length > 0) return { strategy, messages: Array.from(messages) };
+    }
+    return { strategy: null, messages: [] };
+  }
+
+  // Function to extract all conversation turns
+  // Each turn carries a typed node tree plus its Markdown serialization
+  // Artifact content is filled in separately by captureArtifacts
+  function extractConversation() {
+    const turns = [];
+    const { strategy, messages } = findMessages();
+    
+    messages.forEach((msg, index) => {
+      const isUser = strategy.isUser(msg);
+      const root = getMessageRoot(msg, isUser);
+      artifactSink = [];
+      const nodes = collectBlocks(root);
+      const content = nodesToMarkdown(nodes).trim();
+      const attachments = isUser ? collectAttachments(msg, root) : [];
+      const process = isUser ? emptyProcess() : collectProcess(msg);
+      
+      // A message can be just an uploaded image
+      if (content || attachments.length > 0) {
+        turns.push({
+          role: isUser ? 'user' : 'assistant',
+          content: content,
+          nodes: nodes,
+          artifacts: artifactSink,
+          attachments: attachments,
+          process: process,
+          index: index
+        });
+      }
+    });
     
     return turns;
   }
@@ -95,7 +679,7 @@
   // Function to group turns into user-assistant pairs
   function groupTurns(turns) {
     const pairs = [];
-    let currentPair = { user: '', assistant: '', turnNumber: 0 };
+    let currentPair = { user: '', assistant: '', userNodes: [], assistantNodes: [], artifacts: [], attachments: [], ...emptyProcess(), turnNumber: 0, source: 'dom' };
     let turnNumber = 1;
     
     turns.forEach(turn => {
@@ -108,10 +692,19 @@
         currentPair = {
           user: turn.content,
           assistant: '',
-          turnNumber: turnNumber++
+          userNodes: turn.nodes,
+          assistantNodes: [],
+          artifacts: [],
+          attachments: turn.attachments,
+          ...emptyProcess(),
+          turnNumber: turnNumber++,
+          source: 'dom'
         };
       } else if (turn.role === 'assistant') {
         currentPair.assistant = turn.content;
+        currentPair.assistantNodes = turn.nodes;
+        currentPair.artifacts = turn.artifacts.map(({ element, ...artifact }) => artifact);
+        Object.assign(currentPair, turn.process);
       }
     });
     
@@ -123,26 +716,557 @@
     return pairs;
   }
 
+  // Conversation JSON strategy: read the conversation from the same endpoint the claude.ai web app uses
+  // Gives the exact message text plus timestamps, attachments and branch positions; the DOM is the fallback
+  const CONVERSATION_PATH_PATTERN = /^\/chat\/([0-9a-f-]{36})/i;
+  
+  // parent_message_uuid of the first message in a conversation
+  const ROOT_MESSAGE_UUID = '00000000-0000-4000-8000-000000000000';
+  
+  // Artifact MIME types used by the artifacts tool
+  const ARTIFACT_TYPE_KINDS = {
+    'application/vnd.ant.code': { kind: 'code', language: '' },
+    'text/markdown': { kind: 'document', language: 'markdown' },
+    'text/html': { kind: 'html', language: 'html' },
+    'image/svg+xml': { kind: 'svg', language: 'xml' },
+    'application/vnd.ant.mermaid': { kind: 'mermaid', language: 'mermaid' },
+    'application/vnd.ant.react': { kind: 'react', language: 'javascript' }
+  };
+  
+  function getConversationUuid() {
+    const match = location.pathname.match(CONVERSATION_PATH_PATTERN);
+    return match ? match[1] : null;
+  }
+  
+  function getCookie(name) {
+    const entry = document.cookie.split('; ').find(cookie => cookie.startsWith(`${name}=`));
+    return entry ? decodeURIComponent(entry.substring(name.length + 1)) : null;
+  }
+  
+  async function fetchJson(path) {
+    const response = await fetch(path, { credentials: 'include', headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      const error = new Error(`claude.ai API returned ${response.status} for ${path}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+  
+  // Look the conversation up in the active organization (lastActiveOrg cookie), then in the others
+  async function fetchConversationJson(conversationUuid) {
+    const query = 'tree=True&rendering_mode=messages&render_all_tools=true';
+    const activeOrg = getCookie('lastActiveOrg');
+    const fetchFrom = organizationUuid =>
+      fetchJson(`/api/organizations/${organizationUuid}/chat_conversations/${conversationUuid}?${query}`);
+    
+    if (activeOrg) {
+      try {
+        return await fetchFrom(activeOrg);
+      } catch (error) {
+        // A 404 means the conversation belongs to another organization
+        if (error.status !== 404) throw error;
+      }
+    }
+    
+    const organizations = await fetchJson('/api/organizations');
+    for (const organization of organizations) {
+      if (organization.uuid === activeOrg) continue;
+      try {
+        return await fetchFrom(organization.uuid);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+    throw new Error('Conversation not found in any claude.ai organization');
+  }
+  
+  // Messages of the branch currently shown, oldest first
+  // With tree=True the response holds every branch, linked through parent_message_uuid
+  function getCurrentBranch(conversation) {
+    const messages = conversation.chat_messages || [];
+    const byUuid = new Map(messages.map(message => [message.uuid, message]));
+    
+    if (!conversation.current_leaf_message_uuid || !byUuid.has(conversation.current_leaf_message_uuid)) {
+      return [...messages].sort((a, b) => a.index - b.index);
+    }
+    
+    const branch = [];
+    let message = byUuid.get(conversation.current_leaf_message_uuid);
+    while (message) {
+      branch.unshift(message);
+      message = byUuid.get(message.parent_message_uuid);
+    }
+    return branch;
+  }
+  
+  // { index, count } of a message among the alternatives sharing its parent (edits and retries)
+  function getBranchPosition(message, conversation) {
+    const siblings = (conversation.chat_messages || [])
+      .filter(candidate => (candidate.parent_message_uuid || ROOT_MESSAGE_UUID) === (message.parent_message_uuid || ROOT_MESSAGE_UUID))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    return { index: siblings.findIndex(sibling => sibling.uuid === message.uuid) + 1, count: siblings.length };
+  }
+  
+  // Markdown of a message from its content parts; artifacts leave the same placeholder as the DOM strategy
+  // artifactState maps artifact IDs to their latest content so updates can be applied across the conversation
+  // Thinking, searches and other tool calls are returned separately (see emptyProcess)
+  function readMessageContent(message, artifactState) {
+    const parts = [];
+    const artifacts = [];
+    const process = emptyProcess();
+    // Tool calls waiting for their result: [{ id, name, record }]
+    const pendingTools = [];
+    
+    (message.content || []).forEach(part => {
+      if (part.type === 'text' && part.text) {
+        parts.push(applyCitations(part.text, part.citations, process.citations));
+      } else if (part.type === 'thinking' && part.thinking) {
+        process.thinking.push(part.thinking.trim());
+      } else if (part.type === 'tool_use' && part.name === 'artifacts' && part.input) {
+        const artifact = applyArtifactCommand(part.input, artifactState);
+        if (!artifact) return;
+        parts.push(`[Artifact: ${artifact.title}]`);
+        // One entry per artifact and message, holding its final version
+        const index = artifacts.findIndex(existing => existing.id === artifact.id);
+        if (index === -1) {
+          artifacts.push(artifact);
+        } else {
+          artifacts[index] = artifact;
+        }
+      } else if (part.type === 'tool_use') {
+        const record = isSearchTool(part.name)
+          ? { query: (part.input && part.input.query) || '', sources: [] }
+          : { name: part.name || 'Tool', input: formatToolValue(part.input), output: '', isError: false };
+        (isSearchTool(part.name) ? process.searches : process.toolCalls).push(record);
+        pendingTools.push({ id: part.id, name: part.name, record });
+      } else if (part.type === 'tool_result') {
+        // Match by tool_use_id, or the latest call of the same tool on older messages
+        const pending = pendingTools.find(tool => part.tool_use_id && tool.id === part.tool_use_id) ||
+          [...pendingTools].reverse().find(tool => tool.name === part.name);
+        if (!pending) return;
+        pendingTools.splice(pendingTools.indexOf(pending), 1);
+        if (pending.record.sources) {
+          pending.record.sources.push(...readSearchResults(part.content));
+        } else {
+          pending.record.output = formatToolResult(part.content);
+          pending.record.isError = !!part.is_error;
+        }
+      }
+    });
+    
+    // Citations often carry only a URL; use the search result's title when there is one
+    const searchSources = process.searches.flatMap(search => search.sources);
+    process.citations.forEach(citation => {
+      const source = searchSources.find(candidate => candidate.url === citation.url);
+      if (citation.title === citation.url && source) citation.title = source.title;
+    });
+    
+    // Older messages only carry plain text
+    const content = parts.length > 0 ? parts.join('\n\n') : (message.text || '');
+    return { content: content.trim(), artifacts, process };
+  }
+  
+  // Parts of an assistant turn besides its answer:
+  // thinking: [markdown], searches: [{ query, sources: [{ title, url }] }],
+  // toolCalls: [{ name, input, output, isError }], citations: [{ title, url }] numbered as in the answer
+  function emptyProcess() {
+    return { thinking: [], searches: [], toolCalls: [], citations: [] };
+  }
+  
+  function isSearchTool(name) {
+    return /search/i.test(name || '');
+  }
+  
+  // Cited spans get a numbered Markdown link to their source after them, e.g. "... [2](https://...)"
+  function applyCitations(text, citations, citedSources) {
+    if (!citations || citations.length === 0) return text;
+    
+    const inserts = [];
+    citations.forEach(citation => {
+      const url = citation.url || (citation.details && citation.details.url);
+      if (!url || typeof citation.end_index !== 'number') return;
+      let number = citedSources.findIndex(source => source.url === url) + 1;
+      if (number === 0) {
+        citedSources.push({ title: citation.title || (citation.details && citation.details.title) || url, url });
+        number = citedSources.length;
+      }
+      inserts.push({ at: citation.end_index, link: ` [${number}](${url.replace(/\(/g, '%28').replace(/\)/g, '%29')})` });
+    });
+    
+    // Insert from the end so earlier indexes stay valid
+    inserts.sort((a, b) => b.at - a.at).forEach(({ at, link }) => {
+      text = text.substring(0, at) + link + text.substring(at);
+    });
+    return text;
+  }
+  
+  function readSearchResults(content) {
+    return (Array.isArray(content) ? content : [])
+      .filter(item => item && item.url)
+      .map(item => ({ title: item.title || item.url, url: item.url }));
+  }
+  
+  function formatToolValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+  
+  // Tool results are usually a list of text parts
+  function formatToolResult(content) {
+    if (Array.isArray(content) && content.every(item => item && item.type === 'text')) {
+      return content.map(item => item.text).join('\n\n');
+    }
+    return formatToolValue(content);
+  }
+  
+  // Apply a create, rewrite or update command and return a snapshot of the artifact
+  function applyArtifactCommand(input, artifactState) {
+    if (!input.id) return null;
+    const previous = artifactState.get(input.id);
+    
+    let content;
+    if (input.command === 'update') {
+      content = previous && previous.content !== null && input.old_str !== undefined
+        ? previous.content.replace(input.old_str, () => input.new_str || '')
+        : null;
+    } else {
+      content = input.content !== undefined ? input.content : (previous ? previous.content : null);
+    }
+    
+    const typeKind = ARTIFACT_TYPE_KINDS[input.type];
+    const artifact = {
+      id: input.id,
+      title: input.title || (previous ? previous.title : 'Untitled artifact'),
+      kind: typeKind ? typeKind.kind : (previous ? previous.kind : 'code'),
+      language: input.language || (typeKind ? typeKind.language : (previous ? previous.language : '')),
+      content
+    };
+    artifactState.set(input.id, artifact);
+    return { ...artifact };
+  }
+  
+  // name, kind, MIME type and size of pasted text, uploaded documents and images
+  function readAttachments(message) {
+    const attachments = (message.attachments || []).map(attachment => ({
+      name: attachment.file_name || 'Pasted content',
+      kind: 'text',
+      mimeType: attachment.file_type || null,
+      size: attachment.file_size || null,
+      fileId: attachment.id || null,
+      extractedContent: attachment.extracted_content || null,
+      url: null,
+      data: null
+    }));
+    
+    // files_v2 supersedes files; both list the same uploads on newer conversations
+    const files = (message.files_v2 && message.files_v2.length > 0) ? message.files_v2 : (message.files || []);
+    files.forEach(file => {
+      attachments.push({
+        name: file.file_name || 'Untitled file',
+        kind: file.file_kind || 'file',
+        mimeType: file.file_type || file.mime_type || null,
+        size: file.file_size || null,
+        fileId: file.file_uuid || null,
+        extractedContent: null,
+        // Full-size preview for images, the original for documents
+        url: file.preview_asset?.url || file.preview_url || file.document_asset?.url || file.thumbnail_url || null,
+        data: null
+      });
+    });
+    
+    return attachments;
+  }
+  
+  // Turn pairs in the same shape as groupTurns, plus timestamps, attachments, branch positions and message IDs
+  // Nodes are left empty: the text is already Markdown, which the exporters fall back to
+  function groupConversationMessages(conversation) {
+    const pairs = [];
+    const artifactState = new Map();
+    let currentPair = null;
+    
+    getCurrentBranch(conversation).forEach(message => {
+      const { content, artifacts, process } = readMessageContent(message, artifactState);
+      const branch = getBranchPosition(message, conversation);
+      
+      if (message.sender === 'human' || !currentPair) {
+        if (currentPair) pairs.push(currentPair);
+        currentPair = {
+          user: '',
+          assistant: '',
+          userNodes: [],
+          assistantNodes: [],
+          artifacts: [],
+          attachments: [],
+          ...emptyProcess(),
+          timestamps: { user: null, assistant: null },
+          branch: { user: null, assistant: null },
+          messageIds: { user: null, assistant: null },
+          turnNumber: pairs.length + 1,
+          source: 'api'
+        };
+      }
+      
+      if (message.sender === 'human') {
+        currentPair.user = content;
+        currentPair.attachments = readAttachments(message);
+        currentPair.timestamps.user = message.created_at || null;
+        currentPair.branch.user = branch;
+        currentPair.messageIds.user = message.uuid;
+      } else {
+        currentPair.assistant = content;
+        currentPair.artifacts = artifacts;
+        Object.assign(currentPair, process);
+        currentPair.timestamps.assistant = message.created_at || null;
+        currentPair.branch.assistant = branch;
+        currentPair.messageIds.assistant = message.uuid;
+      }
+    });
+    
+    if (currentPair) pairs.push(currentPair);
+    return pairs;
+  }
+  
+  // Returns { pairs, title } or throws when the page is not a saved conversation or the request fails
+  async function extractConversationFromApi() {
+    const conversationUuid = getConversationUuid();
+    if (!conversationUuid) {
+      throw new Error('Not a conversation page');
+    }
+    
+    const conversation = await fetchConversationJson(conversationUuid);
+    const pairs = groupConversationMessages(conversation);
+    if (pairs.length === 0) {
+      throw new Error('Conversation JSON has no messages');
+    }
+    return { pairs, title: conversation.name || null };
+  }
+
+  // Conversation links in the sidebar or on the recents page, for bulk export
+  // Returns [{ url, title }] in page order without duplicates
+  function listConversations() {
+    const conversations = [];
+    const seen = new Set();
+    
+    document.querySelectorAll('a[href*="/chat/"]').forEach(link => {
+      const url = new URL(link.getAttribute('href'), location.origin);
+      const match = url.pathname.match(/^\/chat\/([0-9a-f-]{36})$/i);
+      if (!match || seen.has(match[1])) return;
+      seen.add(match[1]);
+      
+      const titleElement = link.querySelector('.truncate, [data-testid="conversation-title"]') || link;
+      conversations.push({
+        url: `${location.origin}/chat/${match[1]}`,
+        title: titleElement.textContent.replace(/\s+/g, ' ').trim() || 'Untitled'
+      });
+    });
+    
+    return conversations;
+  }
+
+  // Extraction health check, so markup changes on claude.ai show up as warnings instead of
+  // silently missing or mislabelled turns
+  
+  // Attributes kept in the DOM snapshot; everything else (text, links, labels) is dropped
+  const SNAPSHOT_ATTRIBUTES = ['data-testid', 'data-test-render-count', 'data-is-user-message', 'data-is-streaming', 'role'];
+  const SNAPSHOT_NODE_LIMIT = 5000;
+  
+  // Organization and conversation UUIDs identify the account, so reports replace them
+  function anonymizeIds(text) {
+    return text.replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, ':id');
+  }
+  
+  // Warnings about the messages found in the page and the roles they were given
+  // turns are the messages with text, in page order
+  function checkMessageRoles(turns) {
+    const warnings = [];
+    const { strategy, messages } = findMessages();
+    
+    if (!strategy) {
+      warnings.push('No messages matched any known selector; claude.ai may have changed its page layout');
+      return { strategy: null, warnings };
+    }
+    
+    const roles = turns.map(turn => turn.role);
+    const userCount = roles.filter(role => role === 'user').length;
+    if (roles.length > 1 && (userCount === 0 || userCount === roles.length)) {
+      warnings.push(`All ${roles.length} messages were detected as ${userCount === 0 ? 'assistant' : 'user'} messages; user/assistant detection is probably broken`);
+    } else {
+      const repeats = roles.filter((role, i) => i > 0 && role === roles[i - 1]).length;
+      if (repeats > 0) {
+        warnings.push(`${repeats} place${repeats === 1 ? '' : 's'} where two messages of the same role follow each other`);
+      }
+    }
+    
+    const emptyMessages = messages.length - turns.length;
+    if (emptyMessages > 0) {
+      warnings.push(`${emptyMessages} message${emptyMessages === 1 ? ' has' : 's have'} no readable text and ${emptyMessages === 1 ? 'is' : 'are'} skipped`);
+    }
+    return { strategy: strategy.name, warnings };
+  }
+  
+  // Warnings about turns missing their user or assistant side
+  function checkPairs(pairs) {
+    const warnings = [];
+    const noUser = pairs.filter(pair => !pair.user && !(pair.attachments && pair.attachments.length > 0));
+    const noAssistant = pairs.filter(pair => !pair.assistant);
+    
+    if (noUser.length > 0) {
+      warnings.push(`Turn${noUser.length === 1 ? '' : 's'} ${noUser.map(pair => pair.turnNumber).join(', ')} ${noUser.length === 1 ? 'has' : 'have'} no user message`);
+    }
+    if (noAssistant.length > 0) {
+      warnings.push(`Turn${noAssistant.length === 1 ? '' : 's'} ${noAssistant.map(pair => pair.turnNumber).join(', ')} ${noAssistant.length === 1 ? 'has' : 'have'} no assistant response`);
+    }
+    return warnings;
+  }
+  
+  // Summary sent with every extraction: { source, strategy, counts, warnings, apiError }
+  // turns are the DOM messages before pairing, null when the conversation JSON was used
+  function diagnoseExtraction(source, pairs, turns, apiError) {
+    const diagnostics = {
+      source,
+      strategy: source === 'api' ? 'conversation-json' : null,
+      counts: {
+        pairs: pairs.length,
+        user: pairs.filter(pair => pair.user).length,
+        assistant: pairs.filter(pair => pair.assistant).length
+      },
+      warnings: checkPairs(pairs),
+      apiError: apiError ? anonymizeIds(apiError.message) : null
+    };
+    
+    if (turns) {
+      const { strategy, warnings } = checkMessageRoles(turns);
+      diagnostics.strategy = strategy;
+      diagnostics.counts.user = turns.filter(turn => turn.role === 'user').length;
+      diagnostics.counts.assistant = turns.filter(turn => turn.role === 'assistant').length;
+      diagnostics.warnings.unshift(...warnings);
+    }
+    return diagnostics;
+  }
+  
+  // Outline of the page structure without any conversation content: tag names, classes and a few
+  // data attributes, with text replaced by its length
+  function buildDomSnapshot() {
+    const lines = [];
+    let remaining = SNAPSHOT_NODE_LIMIT;
+    
+    const walk = (element, depth) => {
+      if (remaining-- <= 0) return;
+      const indent = '  '.repeat(depth);
+      const classes = Array.from(element.classList).map(name => `.${name}`).join('');
+      const attributes = SNAPSHOT_ATTRIBUTES
+        .filter(name => element.hasAttribute(name))
+        .map(name => ` ${name}="${element.getAttribute(name)}"`)
+        .join('');
+      lines.push(`${indent}<${element.tagName.toLowerCase()}${classes}${attributes}>`);
+      
+      // Icons and code are noise for layout debugging
+      if (['svg', 'script', 'style', 'pre'].includes(element.tagName.toLowerCase())) return;
+      
+      element.childNodes.forEach(child => {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          walk(child, depth + 1);
+        } else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+          lines.push(`${indent}  #text (${child.textContent.trim().length} chars)`);
+        }
+      });
+    };
+    
+    walk(document.querySelector('main') || document.body, 0);
+    if (remaining < 0) {
+      lines.push(`... truncated after ${SNAPSHOT_NODE_LIMIT} elements`);
+    }
+    return lines.join('\n');
+  }
+  
+  // Full report for bug reports: both strategies side by side plus the anonymized page outline
+  async function buildDiagnosticsReport() {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      page: anonymizeIds(location.pathname),
+      api: null,
+      dom: null,
+      snapshot: buildDomSnapshot()
+    };
+    
+    try {
+      const { pairs } = await extractConversationFromApi();
+      report.api = { ok: true, ...diagnoseExtraction('api', pairs, null, null) };
+    } catch (error) {
+      report.api = { ok: false, error: anonymizeIds(error.message) };
+    }
+    
+    const turns = extractConversation();
+    report.dom = {
+      strategies: MESSAGE_STRATEGIES.map(strategy => ({
+        name: strategy.name,
+        selector: strategy.selector,
+        matches: document.querySelectorAll(strategy.selector).length
+      })),
+      ...diagnoseExtraction('dom', groupTurns(turns), turns, null)
+    };
+    return report;
+  }
+
   // Listen for messages from popup
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'listConversations') {
+      sendResponse({ success: true, data: listConversations() });
+      return false;
+    }
+    
+    if (request.action === 'getDiagnostics') {
+      buildDiagnosticsReport()
+        .then(report => sendResponse({ success: true, data: report }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+    
     if (request.action === 'extractConversation') {
-      try {
-        const turns = extractConversation();
-        const pairs = groupTurns(turns);
-        const title = extractTitle();
+      (async () => {
+        let pairs;
+        let title;
+        let diagnostics;
+        let source = 'api';
+        
+        try {
+          ({ pairs, title } = await extractConversationFromApi());
+          diagnostics = diagnoseExtraction('api', pairs, null, null);
+        } catch (apiError) {
+          console.warn('Conversation JSON unavailable, reading the page instead:', apiError.message);
+          source = 'dom';
+          
+          const turns = extractConversation();
+          
+          // Opening artifacts changes the page, so only do it when exporting
+          if (request.includeArtifacts) {
+            await captureArtifacts(turns);
+          }
+          
+          pairs = groupTurns(turns);
+          diagnostics = diagnoseExtraction('dom', pairs, turns, apiError);
+        }
+        
+        // Downloading attachments is slow, so like artifacts it is only done when exporting
+        if (request.includeAttachments) {
+          await captureAttachments(pairs);
+        }
         
         sendResponse({
           success: true,
           data: pairs,
           count: pairs.length,
-          title: title
+          title: title || extractTitle(),
+          source,
+          diagnostics
         });
-      } catch (error) {
+      })().catch(error => {
         sendResponse({
           success: false,
           error: error.message
         });
-      }
+      });
       return true; // Keep channel open for async response
     }
   });
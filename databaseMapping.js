@@ -0,0 +1,116 @@
+// Database property mapping page script
+
+const databaseTitleDiv = document.getElementById('databaseTitle');
+const mappingRows = document.getElementById('mappingRows');
+const defaultTagsInput = document.getElementById('defaultTags');
+const saveBtn = document.getElementById('saveBtn');
+const autoMapBtn = document.getElementById('autoMapBtn');
+const backBtn = document.getElementById('backBtn');
+const statusDiv = document.getElementById('status');
+
+const databaseId = new URLSearchParams(window.location.search).get('databaseId');
+
+// Schema returned by GET /v1/databases/{id}
+let schema = null;
+
+backBtn.addEventListener('click', () => {
+  window.close();
+});
+
+loadDatabase();
+
+async function loadDatabase() {
+  if (!databaseId) {
+    databaseTitleDiv.textContent = 'No database selected';
+    saveBtn.disabled = true;
+    autoMapBtn.disabled = true;
+    return;
+  }
+
+  try {
+    const { notionToken } = await chrome.storage.local.get(['notionToken']);
+    if (!notionToken) {
+      throw new Error('Please configure your Notion token in settings first');
+    }
+
+    schema = await createNotionClient(notionToken).getDatabase(databaseId);
+    databaseTitleDiv.textContent = schema.title?.[0]?.plain_text || 'Untitled database';
+
+    const saved = await getDatabaseMapping(databaseId);
+    renderMapping(saved ? validateMapping(schema, saved) : autoMapProperties(schema));
+  } catch (error) {
+    databaseTitleDiv.textContent = 'Could not load database';
+    saveBtn.disabled = true;
+    autoMapBtn.disabled = true;
+    showStatus('error', error.message);
+  }
+}
+
+function renderMapping(mapping) {
+  mappingRows.innerHTML = '';
+
+  DATABASE_FIELDS.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'mapping-row';
+
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    label.htmlFor = `field-${field.key}`;
+
+    const select = document.createElement('select');
+    select.id = `field-${field.key}`;
+    select.dataset.field = field.key;
+
+    // The title property always exists and must be set
+    if (!field.required) {
+      select.appendChild(new Option("(don't set)", ''));
+    }
+    getCompatibleProperties(schema, field).forEach(name => {
+      select.appendChild(new Option(name, name));
+    });
+    select.value = mapping.properties[field.key] || '';
+    select.disabled = select.options.length <= 1 && !field.required;
+
+    row.appendChild(label);
+    row.appendChild(select);
+    mappingRows.appendChild(row);
+  });
+
+  defaultTagsInput.value = (mapping.defaultTags || []).join(', ');
+}
+
+function readMapping() {
+  const properties = {};
+  mappingRows.querySelectorAll('select').forEach(select => {
+    properties[select.dataset.field] = select.value || null;
+  });
+  return { properties, defaultTags: parseTags(defaultTagsInput.value) };
+}
+
+autoMapBtn.addEventListener('click', () => {
+  const mapping = autoMapProperties(schema);
+  mapping.defaultTags = parseTags(defaultTagsInput.value);
+  renderMapping(mapping);
+  showStatus('info', 'Properties detected from their names and types. Save to keep them.');
+});
+
+saveBtn.addEventListener('click', async () => {
+  const mapping = readMapping();
+
+  if (mapping.defaultTags.length > 0 && !mapping.properties.tags) {
+    showStatus('warning', 'Default tags need a multi-select property mapped to Tags');
+    return;
+  }
+
+  try {
+    await saveDatabaseMapping(databaseId, mapping);
+    showStatus('success', 'Mapping saved! New exports to this database will use it.');
+  } catch (error) {
+    showStatus('error', `Error saving mapping: ${error.message}`);
+  }
+});
+
+function showStatus(type, message) {
+  statusDiv.className = `status ${type}`;
+  statusDiv.textContent = message;
+}
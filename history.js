@@ -0,0 +1,252 @@
+// Export history dashboard script
+
+const historyList = document.getElementById('historyList');
+const searchInput = document.getElementById('searchInput');
+const sortSelect = document.getElementById('sortSelect');
+const selectAllInput = document.getElementById('selectAll');
+const selectionText = document.getElementById('selectionText');
+const checkDueBtn = document.getElementById('checkDueBtn');
+const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+const backBtn = document.getElementById('backBtn');
+const statusDiv = document.getElementById('status');
+
+// Badge naming where each conversation was exported
+const EXPORT_DESTINATION_LABELS = {
+  page: 'Page',
+  childPage: 'Own page',
+  database: 'Database'
+};
+
+// Conversation URLs ticked in the list
+const selectedUrls = new Set();
+
+let historyEntries = [];
+let pendingUrls = new Set();
+// True while the background is reading conversations for a check
+let checking = false;
+
+loadHistory();
+
+// Exports finishing in the background refresh the list; a check reports through bulkExportRun
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.exportHistory || changes.exportJobs)) {
+    loadHistory();
+  }
+  const run = area === 'local' && changes.bulkExportRun?.newValue;
+  if (checking && run && run.finishedAt) {
+    checking = false;
+    renderHistory();
+
+    const { queued, upToDate, failed } = run.result;
+    const parts = [
+      `${queued} update${queued === 1 ? '' : 's'} queued`,
+      `${upToDate} already up to date`
+    ];
+    if (failed.length > 0) {
+      parts.push(`${failed.length} failed (${failed[0].error})`);
+    }
+    showStatus(failed.length > 0 ? 'error' : 'success', parts.join(', '));
+  }
+});
+
+backBtn.addEventListener('click', () => {
+  window.close();
+});
+
+searchInput.addEventListener('input', renderHistory);
+sortSelect.addEventListener('change', renderHistory);
+
+selectAllInput.addEventListener('change', () => {
+  getVisibleEntries().forEach(entry => {
+    if (selectAllInput.checked) {
+      selectedUrls.add(entry.conversationUrl);
+    } else {
+      selectedUrls.delete(entry.conversationUrl);
+    }
+  });
+  renderHistory();
+});
+
+checkDueBtn.addEventListener('click', async () => {
+  const dueUrls = historyEntries
+    .filter(entry => getExportCheckStatus(entry).due && !pendingUrls.has(entry.conversationUrl))
+    .map(entry => entry.conversationUrl);
+  if (dueUrls.length === 0) return;
+
+  checking = true;
+  renderHistory();
+  showStatus('info', `Checking ${dueUrls.length} conversation${dueUrls.length === 1 ? '' : 's'} for changes. Each one opens briefly in a background tab...`);
+
+  // The result arrives through bulkExportRun; a worker restart closes this channel while the
+  // stored run carries on, so only a refused start is reported here
+  chrome.runtime.sendMessage({ action: 'updateExports', conversationUrls: dueUrls }, (response) => {
+    if (chrome.runtime.lastError || !response || response.success) return;
+    checking = false;
+    renderHistory();
+    showStatus('error', response.error || 'Could not update exports');
+  });
+});
+
+deleteSelectedBtn.addEventListener('click', () => {
+  deleteEntries([...selectedUrls]);
+});
+
+async function loadHistory() {
+  const history = await getAllExportHistory();
+  const jobs = await getExportJobs();
+
+  historyEntries = Object.values(history);
+  pendingUrls = new Set(jobs.filter(isPendingExportJob).map(job => job.data.conversationUrl));
+
+  // Drop selections of entries that no longer exist
+  [...selectedUrls].forEach(url => {
+    if (!history[url]) selectedUrls.delete(url);
+  });
+
+  renderHistory();
+}
+
+function getVisibleEntries() {
+  const query = searchInput.value.trim().toLowerCase();
+  const entries = historyEntries.filter(entry => !query ||
+    (entry.conversationTitle || '').toLowerCase().includes(query) ||
+    entry.conversationUrl.toLowerCase().includes(query)
+  );
+
+  const sorters = {
+    exportedAt: (a, b) => new Date(b.exportedAt) - new Date(a.exportedAt),
+    unchecked: (a, b) => getExportCheckStatus(b).days - getExportCheckStatus(a).days,
+    title: (a, b) => (a.conversationTitle || '').localeCompare(b.conversationTitle || ''),
+    turnCount: (a, b) => b.turnCount - a.turnCount
+  };
+  return entries.sort(sorters[sortSelect.value]);
+}
+
+function renderHistory() {
+  const entries = getVisibleEntries();
+  const dueCount = historyEntries.filter(entry =>
+    getExportCheckStatus(entry).due && !pendingUrls.has(entry.conversationUrl)
+  ).length;
+
+  checkDueBtn.textContent = `Check Unchecked for Changes (${dueCount})`;
+  checkDueBtn.disabled = checking || dueCount === 0;
+  deleteSelectedBtn.disabled = selectedUrls.size === 0;
+  selectionText.textContent = selectedUrls.size > 0 ? `${selectedUrls.size} selected` : 'Select all';
+  selectAllInput.checked = entries.length > 0 && entries.every(entry => selectedUrls.has(entry.conversationUrl));
+
+  historyList.innerHTML = '';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'section empty';
+    empty.textContent = historyEntries.length === 0
+      ? 'No conversations exported to Notion yet'
+      : 'No exports match your search';
+    historyList.appendChild(empty);
+    return;
+  }
+
+  entries.forEach(entry => historyList.appendChild(renderEntry(entry)));
+}
+
+function renderEntry(entry) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedUrls.has(entry.conversationUrl);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedUrls.add(entry.conversationUrl);
+    } else {
+      selectedUrls.delete(entry.conversationUrl);
+    }
+    renderHistory();
+  });
+  item.appendChild(checkbox);
+
+  const body = document.createElement('div');
+  body.className = 'history-body';
+
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  const titleText = document.createElement('span');
+  titleText.textContent = entry.conversationTitle || 'Claude Conversation';
+  titleText.title = entry.conversationTitle || '';
+  title.appendChild(titleText);
+  title.appendChild(createBadge(EXPORT_DESTINATION_LABELS[entry.destination] || 'Page'));
+
+  const { due, days } = getExportCheckStatus(entry);
+  if (pendingUrls.has(entry.conversationUrl)) {
+    title.appendChild(createBadge('Updating', 'pending'));
+  } else if (due) {
+    title.appendChild(createBadge(`Unchecked for ${days} days`, 'due'));
+  } else {
+    title.appendChild(createBadge('Recently checked', 'fresh'));
+  }
+  body.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = [
+    `Exported ${getTimeAgo(entry.exportedAt)}`,
+    `${entry.turnCount} turn${entry.turnCount === 1 ? '' : 's'}`,
+    entry.lensName ? `Lens: ${entry.lensName}` : null,
+    `Layout: ${getNotionLayout(entry.layoutId).name}`,
+    entry.checkedAt ? `Checked ${getTimeAgo(entry.checkedAt)}` : null
+  ].filter(Boolean).join(' • ');
+  body.appendChild(meta);
+
+  const links = document.createElement('div');
+  links.className = 'history-links';
+
+  const notionUrl = getExportNotionUrl(entry);
+  if (notionUrl) {
+    links.appendChild(createLink('Open in Notion', notionUrl));
+  }
+  links.appendChild(createLink('Open in Claude', entry.conversationUrl));
+
+  const deleteLink = document.createElement('a');
+  deleteLink.className = 'delete';
+  deleteLink.textContent = 'Delete';
+  deleteLink.addEventListener('click', () => deleteEntries([entry.conversationUrl]));
+  links.appendChild(deleteLink);
+
+  body.appendChild(links);
+  item.appendChild(body);
+  return item;
+}
+
+async function deleteEntries(conversationUrls) {
+  if (conversationUrls.length === 0) return;
+
+  const label = conversationUrls.length === 1 ? 'this export' : `${conversationUrls.length} exports`;
+  if (!confirm(`Remove ${label} from history? The Notion pages are not changed, but the next export starts from scratch.`)) {
+    return;
+  }
+
+  await deleteExportHistory(conversationUrls);
+  conversationUrls.forEach(url => selectedUrls.delete(url));
+  showStatus('success', `Removed ${label} from history`);
+}
+
+function createBadge(text, variant = '') {
+  const badge = document.createElement('span');
+  badge.className = `badge ${variant}`.trim();
+  badge.textContent = text;
+  return badge;
+}
+
+function createLink(text, url) {
+  const link = document.createElement('a');
+  link.textContent = text;
+  link.href = url;
+  link.target = '_blank';
+  return link;
+}
+
+function showStatus(type, message) {
+  statusDiv.className = `status ${type}`;
+  statusDiv.textContent = message;
+}
@@ -0,0 +1,270 @@
+// Lens management page script
+
+const lensList = document.getElementById('lensList');
+const addLensBtn = document.getElementById('addLensBtn');
+const backBtn = document.getElementById('backBtn');
+const statusDiv = document.getElementById('status');
+const lensModal = document.getElementById('lensModal');
+const modalTitle = document.getElementById('modalTitle');
+const lensNameInput = document.getElementById('lensName');
+const lensPromptInput = document.getElementById('lensPrompt');
+const fieldRows = document.getElementById('fieldRows');
+const addFieldBtn = document.getElementById('addFieldBtn');
+const titleFieldSelect = document.getElementById('titleField');
+const cancelBtn = document.getElementById('cancelBtn');
+const saveLensBtn = document.getElementById('saveLensBtn');
+const modalStatusDiv = document.getElementById('modalStatus');
+
+// ID of the lens being edited, null when adding a new one
+let editingLensId = null;
+
+const NEW_LENS_PROMPT = `You are summarizing a conversation turn between a user and an AI assistant.
+
+Provide:
+1. A one-sentence headline (max 150 characters)
+2. ...
+
+Format your response as JSON:
+{OUTPUT_FORMAT}
+
+Conversation turn:
+User: {USER_CONTENT}
+
+Assistant: {ASSISTANT_CONTENT}`;
+
+renderLenses();
+
+backBtn.addEventListener('click', () => {
+  window.close();
+});
+
+addLensBtn.addEventListener('click', () => {
+  openModal(null);
+});
+
+cancelBtn.addEventListener('click', closeModal);
+
+addFieldBtn.addEventListener('click', () => {
+  addFieldRow({ key: '', label: '', type: 'text' });
+  refreshTitleFieldOptions();
+});
+
+// Title field options follow the field keys as they are typed
+fieldRows.addEventListener('input', refreshTitleFieldOptions);
+fieldRows.addEventListener('change', refreshTitleFieldOptions);
+
+saveLensBtn.addEventListener('click', async () => {
+  const lens = {
+    id: editingLensId,
+    name: lensNameInput.value.trim(),
+    prompt: lensPromptInput.value,
+    fields: readFieldRows(),
+    titleField: titleFieldSelect.value
+  };
+
+  const errors = validateLens(lens);
+  if (errors.length > 0) {
+    showStatus(modalStatusDiv, 'error', errors.join('. '));
+    return;
+  }
+
+  try {
+    await saveLens(lens);
+    closeModal();
+    showStatus(statusDiv, 'success', `Saved "${lens.name}"`);
+    await renderLenses();
+  } catch (error) {
+    showStatus(modalStatusDiv, 'error', `Error saving lens: ${error.message}`);
+  }
+});
+
+async function renderLenses() {
+  const lenses = await getLenses();
+  lensList.innerHTML = '';
+
+  lenses.forEach(lens => {
+    const item = document.createElement('div');
+    item.className = 'lens-item';
+
+    const header = document.createElement('div');
+    header.className = 'lens-header';
+
+    const label = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'defaultLens';
+    radio.checked = !!lens.isDefault;
+    radio.title = 'Use as default lens';
+    radio.addEventListener('change', async () => {
+      await setDefaultLens(lens.id);
+      showStatus(statusDiv, 'success', `"${lens.name}" is now the default lens`);
+      await renderLenses();
+    });
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(lens.name));
+    header.appendChild(label);
+
+    if (lens.isDefault) {
+      header.appendChild(createBadge('Default', 'default'));
+    }
+    if (lens.isBuiltIn) {
+      header.appendChild(createBadge('Built-in'));
+    }
+
+    const fields = document.createElement('div');
+    fields.className = 'lens-fields';
+    fields.textContent = 'Fields: ' + lens.fields
+      .map(field => `${field.label} (${field.key}${field.type === 'list' ? ', list' : ''})`)
+      .join(', ');
+
+    const actions = document.createElement('div');
+    actions.className = 'lens-actions';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'secondary';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openModal(lens));
+    actions.appendChild(editBtn);
+
+    const duplicateBtn = document.createElement('button');
+    duplicateBtn.className = 'secondary';
+    duplicateBtn.textContent = 'Duplicate';
+    duplicateBtn.addEventListener('click', () => {
+      openModal({ ...lens, id: null, name: `${lens.name} (copy)` });
+    });
+    actions.appendChild(duplicateBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.disabled = !!lens.isBuiltIn;
+    deleteBtn.title = lens.isBuiltIn ? 'Built-in lenses cannot be deleted' : '';
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete lens "${lens.name}"? Conversations exported with it will use the default lens on update.`)) {
+        return;
+      }
+      try {
+        await deleteLens(lens.id);
+        showStatus(statusDiv, 'success', `Deleted "${lens.name}"`);
+        await renderLenses();
+      } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+      }
+    });
+    actions.appendChild(deleteBtn);
+
+    item.appendChild(header);
+    item.appendChild(fields);
+    item.appendChild(actions);
+    lensList.appendChild(item);
+  });
+}
+
+function createBadge(text, variant) {
+  const badge = document.createElement('span');
+  badge.className = variant ? `badge ${variant}` : 'badge';
+  badge.textContent = text;
+  return badge;
+}
+
+// Pass null to add a new lens; a lens without an id is added as a copy
+function openModal(lens) {
+  editingLensId = lens ? lens.id : null;
+  modalTitle.textContent = editingLensId ? `Edit "${lens.name}"` : 'Add New Lens';
+  lensNameInput.value = lens ? lens.name : '';
+  lensPromptInput.value = lens ? lens.prompt : NEW_LENS_PROMPT;
+
+  fieldRows.innerHTML = '';
+  const fields = lens ? lens.fields : [
+    { key: 'headline', label: 'Headline', type: 'text' },
+    { key: 'summary', label: 'Summary', type: 'text' }
+  ];
+  fields.forEach(addFieldRow);
+  refreshTitleFieldOptions();
+  titleFieldSelect.value = lens ? lens.titleField : 'headline';
+
+  modalStatusDiv.className = 'status';
+  lensModal.classList.add('show');
+  lensNameInput.focus();
+}
+
+function closeModal() {
+  lensModal.classList.remove('show');
+  editingLensId = null;
+}
+
+function addFieldRow(field) {
+  const row = document.createElement('div');
+  row.className = 'field-row';
+
+  const keyInput = document.createElement('input');
+  keyInput.type = 'text';
+  keyInput.className = 'field-key';
+  keyInput.placeholder = 'jsonKey';
+  keyInput.value = field.key;
+
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.className = 'field-label';
+  labelInput.placeholder = 'Label shown in Notion';
+  labelInput.value = field.label;
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'field-type';
+  ['text', 'list'].forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = type;
+    typeSelect.appendChild(option);
+  });
+  typeSelect.value = field.type;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'secondary';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove field';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    refreshTitleFieldOptions();
+  });
+
+  row.appendChild(keyInput);
+  row.appendChild(labelInput);
+  row.appendChild(typeSelect);
+  row.appendChild(removeBtn);
+  fieldRows.appendChild(row);
+}
+
+function readFieldRows() {
+  return Array.from(fieldRows.querySelectorAll('.field-row')).map(row => {
+    const key = row.querySelector('.field-key').value.trim();
+    return {
+      key,
+      label: row.querySelector('.field-label').value.trim() || key,
+      type: row.querySelector('.field-type').value
+    };
+  });
+}
+
+function refreshTitleFieldOptions() {
+  const current = titleFieldSelect.value;
+  titleFieldSelect.innerHTML = '';
+
+  readFieldRows()
+    .filter(field => field.key && field.type === 'text')
+    .forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.key;
+      option.textContent = `${field.label} (${field.key})`;
+      titleFieldSelect.appendChild(option);
+    });
+
+  if (Array.from(titleFieldSelect.options).some(option => option.value === current)) {
+    titleFieldSelect.value = current;
+  }
+}
+
+function showStatus(target, type, message) {
+  target.className = `status ${type}`;
+  target.textContent = message;
+}
@@ -0,0 +1,15 @@
+// Offscreen document - turns exported file content into object URLs for chrome.downloads
+// The background worker cannot create object URLs itself; it opens this document when needed
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return false;
+
+  if (request.action === 'createBlobUrl') {
+    const blob = new Blob([request.content], { type: `${request.mimeType};charset=utf-8` });
+    sendResponse({ url: URL.createObjectURL(blob) });
+  } else if (request.action === 'revokeBlobUrl') {
+    URL.revokeObjectURL(request.url);
+    sendResponse({ success: true });
+  }
+  return false;
+});
@@ -4,6 +4,8 @@ const NOTION_BLOCK_LIMIT = 2000;
 
 // DOM elements
 const settingsBtn = document.getElementById('settingsBtn');
+const historyBtn = document.getElementById('historyBtn');
+const bulkExportBtn = document.getElementById('bulkExportBtn');
 const pageSearchInput = document.getElementById('pageSearch');
 const searchResults = document.getElementById('searchResults');
 const selectedPageDiv = document.getElementById('selectedPage');
@@ -15,6 +17,20 @@ const statusDiv = document.getElementById('status');
 const progressDiv = document.getElementById('progress');
 const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
+const lensSelect = document.getElementById('lensSelect');
+const manageLensesBtn = document.getElementById('manageLensesBtn');
+const lensHelp = document.getElementById('lensHelp');
+const layoutSection = document.getElementById('layoutSection');
+const layoutSelect = document.getElementById('layoutSelect');
+const layoutHelp = document.getElementById('layoutHelp');
+const exportTargetSelect = document.getElementById('exportTarget');
+const notionSection = document.getElementById('notionSection');
+const notionLabel = document.getElementById('notionLabel');
+const notionHelp = document.getElementById('notionHelp');
+const mapPropertiesBtn = document.getElementById('mapPropertiesBtn');
+const extractionWarningDiv = document.getElementById('extractionWarning');
+const extractionWarningList = document.getElementById('extractionWarningList');
+const diagnosticsBtn = document.getElementById('diagnosticsBtn');
 
 let selectedPageId = null;
 let selectedPageTitle = null;
@@ -22,37 +38,213 @@ let selectedPageUrl = null;
 let notionToken = null;
 let searchTimeout = null;
 let currentConversationUrl = null;
+// claude.ai tab the bulk export page lists conversations from
+let claudeTabId = null;
 let currentTurnCount = 0;
 let exportHistory = null;
+// New, edited, branched-away and missing turns since the last export: { added, changed, removed, restored }
+let turnChanges = null;
+// Whether the exported blocks are still in Notion: { parentMissing, missingTurns }, null if unchecked
+let exportVerification = null;
+let exportTarget = 'notion';
+// Extraction health check from the content script: { source, strategy, counts, warnings, apiError }
+let extractionDiagnostics = null;
+
+// Storage keys for the remembered destination of each Notion target
+// New pages per conversation go inside the same page that plain page exports use
+const NOTION_SELECTION_KEYS = {
+  notion: { id: 'selectedPageId', title: 'selectedPageTitle', url: 'selectedPageUrl' },
+  notionChildPage: { id: 'selectedPageId', title: 'selectedPageTitle', url: 'selectedPageUrl' },
+  notionDatabase: { id: 'selectedDatabaseId', title: 'selectedDatabaseTitle', url: 'selectedDatabaseUrl' }
+};
+
+// Export destination recorded with each Notion target's exports
+const NOTION_TARGET_DESTINATIONS = {
+  notion: 'page',
+  notionChildPage: 'childPage',
+  notionDatabase: 'database'
+};
+
+// Local file targets handled by the background worker's file exporter
+const FILE_TARGET_LABELS = {
+  markdown: 'Markdown',
+  json: 'JSON',
+  html: 'HTML'
+};
 
 // Load credentials and check if export is in progress
-chrome.storage.local.get(['anthropicApiKey', 'notionToken', 'selectedPageId', 'selectedPageTitle', 'selectedPageUrl', 'exportProgress'], async (result) => {
-  if (!result.anthropicApiKey || !result.notionToken) {
+chrome.storage.local.get(['anthropicApiKey', 'notionToken', 'exportProgress', 'exportTarget'], async (result) => {
+  exportTarget = result.exportTarget || 'notion';
+  exportTargetSelect.value = exportTarget;
+  applyExportTarget();
+  if (!isNotionTarget()) {
+    updateExportStatusUI();
+  }
+  
+  if (isNotionTarget() && (!result.anthropicApiKey || !result.notionToken)) {
     showStatus('warning', 'Please configure your API keys in settings first');
     exportBtn.disabled = true;
-  } else {
+  } else if (result.notionToken) {
     notionToken = result.notionToken;
     
-    // Load selected page if exists
-    if (result.selectedPageId && result.selectedPageTitle) {
-      selectedPageId = result.selectedPageId;
-      selectedPageTitle = result.selectedPageTitle;
-      selectedPageUrl = result.selectedPageUrl || `https://www.notion.so/${result.selectedPageId.replace(/-/g, '')}`;
-      showSelectedPage(selectedPageTitle);
-      exportBtn.disabled = false;
-    }
+    // Load selected page or database if exists
+    await loadSelectedDestination();
   }
   
-  // Check if export is in progress
+  // Check if export is in progress; exports of other conversations don't block this tab,
+  // a new export simply queues behind them
   if (result.exportProgress) {
-    showExportInProgress(result.exportProgress);
-    startProgressPolling();
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const progressUrl = result.exportProgress.conversationUrl;
+    
+    if (!progressUrl || progressUrl === tab?.url) {
+      activeJobId = result.exportProgress.jobId || null;
+      showExportInProgress(result.exportProgress);
+      startProgressPolling();
+    } else if (result.exportProgress.status !== 'error') {
+      showStatus('info', 'Another conversation is exporting in the background. New exports will be queued.');
+    }
   }
   
+  // Populate lens and layout dropdowns
+  await loadLensSelector();
+  await loadLayoutSelector();
+  
   // Check current conversation and export history
   await checkConversationStatus();
 });
 
+// Keep the dropdown in sync when lenses are edited in the management page
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.lenses) {
+    loadLensSelector();
+  }
+});
+
+async function loadLensSelector() {
+  const lenses = await getLenses();
+  const { selectedLensId } = await chrome.storage.local.get(['selectedLensId']);
+  
+  lensSelect.innerHTML = '';
+  
+  lenses.forEach(lens => {
+    const option = document.createElement('option');
+    option.value = lens.id;
+    option.textContent = lens.isDefault ? `${lens.name} (default)` : lens.name;
+    lensSelect.appendChild(option);
+  });
+  
+  const addOption = document.createElement('option');
+  addOption.value = '__add__';
+  addOption.textContent = '+ Add New Lens...';
+  lensSelect.appendChild(addOption);
+  
+  // Restore previous selection, or fall back to the default lens
+  const selected = lenses.find(lens => lens.id === selectedLensId) || lenses.find(lens => lens.isDefault) || lenses[0];
+  lensSelect.value = selected.id;
+}
+
+function openLensManager() {
+  chrome.windows.create({
+    url: 'lenses.html',
+    type: 'popup',
+    width: 600,
+    height: 650
+  });
+}
+
+lensSelect.addEventListener('change', async (e) => {
+  if (e.target.value === '__add__') {
+    openLensManager();
+    // Reset to the previous selection
+    await loadLensSelector();
+    return;
+  }
+  await chrome.storage.local.set({ selectedLensId: e.target.value });
+});
+
+manageLensesBtn.addEventListener('click', openLensManager);
+
+async function loadLayoutSelector() {
+  const { selectedLayoutId } = await chrome.storage.local.get(['selectedLayoutId']);
+  
+  NOTION_LAYOUTS.forEach(layout => {
+    layoutSelect.appendChild(new Option(layout.name, layout.id));
+  });
+  layoutSelect.value = getNotionLayout(selectedLayoutId).id;
+  layoutHelp.textContent = getNotionLayout(layoutSelect.value).description;
+}
+
+layoutSelect.addEventListener('change', async (e) => {
+  layoutHelp.textContent = getNotionLayout(e.target.value).description;
+  await chrome.storage.local.set({ selectedLayoutId: e.target.value });
+});
+
+// Export target: a Notion page or a local file
+exportTargetSelect.addEventListener('change', async (e) => {
+  exportTarget = e.target.value;
+  await chrome.storage.local.set({ exportTarget });
+  statusDiv.className = 'status';
+  applyExportTarget();
+  updateExportStatusUI();
+});
+
+function isNotionTarget() {
+  return exportTarget in NOTION_TARGET_DESTINATIONS;
+}
+
+function applyExportTarget() {
+  notionSection.style.display = isNotionTarget() ? 'block' : 'none';
+  layoutSection.style.display = isNotionTarget() ? 'block' : 'none';
+  updateBulkExportButton();
+  
+  const isDatabase = exportTarget === 'notionDatabase';
+  const isChildPage = exportTarget === 'notionChildPage';
+  notionLabel.textContent = isDatabase ? 'Notion Database' : isChildPage ? 'Parent Notion Page' : 'Notion Page';
+  pageSearchInput.placeholder = isDatabase ? 'Search for a database...' : 'Search for a page...';
+  if (isDatabase) {
+    notionHelp.textContent = 'Each conversation becomes a row in this database';
+  } else if (isChildPage) {
+    notionHelp.textContent = 'Each conversation becomes a new page inside this page';
+  } else {
+    notionHelp.textContent = 'Type to search your Notion pages';
+  }
+  
+  if (isNotionTarget() && notionToken) {
+    loadSelectedDestination();
+  }
+}
+
+// Restore the page or database remembered for the current Notion target
+async function loadSelectedDestination() {
+  const keys = NOTION_SELECTION_KEYS[exportTarget];
+  const stored = await chrome.storage.local.get([keys.id, keys.title, keys.url]);
+  
+  selectedPageId = stored[keys.id] || null;
+  selectedPageTitle = stored[keys.title] || null;
+  selectedPageUrl = selectedPageId
+    ? stored[keys.url] || `https://www.notion.so/${selectedPageId.replace(/-/g, '')}`
+    : null;
+  
+  if (selectedPageId && selectedPageTitle) {
+    showSelectedPage(selectedPageTitle);
+    exportBtn.disabled = false;
+  } else {
+    selectedPageDiv.classList.remove('show');
+  }
+  mapPropertiesBtn.style.display = exportTarget === 'notionDatabase' && selectedPageId ? 'block' : 'none';
+  updateExportStatusUI();
+}
+
+mapPropertiesBtn.addEventListener('click', () => {
+  chrome.windows.create({
+    url: `databaseMapping.html?databaseId=${encodeURIComponent(selectedPageId)}`,
+    type: 'popup',
+    width: 520,
+    height: 620
+  });
+});
+
 // Settings button
 settingsBtn.addEventListener('click', () => {
   chrome.windows.create({
@@ -63,6 +255,33 @@ settingsBtn.addEventListener('click', () => {
   });
 });
 
+// Bulk export lists conversations from the claude.ai sidebar of the current tab
+function updateBulkExportButton() {
+  bulkExportBtn.style.display = claudeTabId !== null && isNotionTarget() ? 'block' : 'none';
+}
+
+bulkExportBtn.addEventListener('click', () => {
+  chrome.windows.create({
+    url: `bulkExport.html?tabId=${claudeTabId}`,
+    type: 'popup',
+    width: 620,
+    height: 700
+  });
+});
+
+// Anonymized report of how the page was read, for filing extraction bugs
+diagnosticsBtn.addEventListener('click', downloadDiagnosticsReport);
+
+// Export history dashboard
+historyBtn.addEventListener('click', () => {
+  chrome.windows.create({
+    url: 'history.html',
+    type: 'popup',
+    width: 680,
+    height: 700
+  });
+});
+
 // Page search with debounce
 pageSearchInput.addEventListener('input', (e) => {
   const query = e.target.value.trim();
@@ -96,30 +315,15 @@ async function searchNotionPages(query) {
   searchResults.classList.add('show');
   
   try {
-    const response = await fetch('https://api.notion.com/v1/search', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${notionToken}`,
-        'Content-Type': 'application/json',
-        'Notion-Version': '2022-06-28'
-      },
-      body: JSON.stringify({
-        query: query,
-        filter: { property: 'object', value: 'page' },
-        page_size: 10
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to search pages');
-    }
-    
-    const data = await response.json();
+    const notion = createNotionClient(notionToken);
+    const data = await notion.search(query, exportTarget === 'notionDatabase' ? 'database' : 'page', 10);
     displaySearchResults(data.results);
     
   } catch (error) {
     console.error('Search error:', error);
-    searchResults.innerHTML = '<div class="loading">Search failed</div>';
+    searchResults.innerHTML = error.isAuthError
+      ? '<div class="loading">Search failed - check your Notion token in settings</div>'
+      : '<div class="loading">Search failed</div>';
   }
 }
 
@@ -135,12 +339,19 @@ function displaySearchResults(pages) {
     const title = getPageTitle(page);
     const path = getPagePath(page);
     
+    // Titles come from Notion, so they are set as text
     const resultDiv = document.createElement('div');
     resultDiv.className = 'search-result';
-    resultDiv.innerHTML = `
-      <div class="result-title">${title}</div>
-      ${path ? `<div class="result-path">${path}</div>` : ''}
-    `;
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'result-title';
+    titleDiv.textContent = title;
+    resultDiv.appendChild(titleDiv);
+    if (path) {
+      const pathDiv = document.createElement('div');
+      pathDiv.className = 'result-path';
+      pathDiv.textContent = path;
+      resultDiv.appendChild(pathDiv);
+    }
     
     resultDiv.addEventListener('click', () => {
       selectPage(page.id, title);
@@ -151,6 +362,10 @@ function displaySearchResults(pages) {
 }
 
 function getPageTitle(page) {
+  // Databases keep their title at the top level
+  if (page.object === 'database') {
+    return page.title?.[0]?.plain_text || 'Untitled';
+  }
   // Try different title properties
   if (page.properties?.title?.title?.[0]?.plain_text) {
     return page.properties.title.title[0].plain_text;
@@ -190,11 +405,17 @@ function selectPage(pageId, pageTitle) {
   const cleanId = pageId.replace(/-/g, '');
   selectedPageUrl = `https://www.notion.so/${cleanId}`;
   
-  // Save selection
-  chrome.storage.local.set({ selectedPageId, selectedPageTitle, selectedPageUrl });
+  // Save selection for the current Notion target
+  const keys = NOTION_SELECTION_KEYS[exportTarget];
+  chrome.storage.local.set({
+    [keys.id]: selectedPageId,
+    [keys.title]: selectedPageTitle,
+    [keys.url]: selectedPageUrl
+  });
   
   // Update UI
   showSelectedPage(pageTitle);
+  mapPropertiesBtn.style.display = exportTarget === 'notionDatabase' ? 'block' : 'none';
   searchResults.classList.remove('show');
   pageSearchInput.value = '';
   exportBtn.disabled = false;
@@ -212,7 +433,9 @@ async function checkConversationStatus() {
       return; // Not on Claude page
     }
     
-    currentConversationUrl = tab.url;
+    claudeTabId = tab.id;
+    updateBulkExportButton();
+    currentConversationUrl = normalizeConversationUrl(tab.url);
     
     // Extract conversation to get turn count
     try {
@@ -221,16 +444,26 @@ async function checkConversationStatus() {
       });
       
       if (response && response.success) {
-        currentTurnCount = response.data.length;
+        const turns = response.data;
+        currentTurnCount = turns.length;
+        showExtractionDiagnostics(response.diagnostics);
         
         // Get export history for this conversation
         chrome.runtime.sendMessage({
           action: 'getExportHistory',
           conversationUrl: currentConversationUrl
-        }, (historyResponse) => {
+        }, async (historyResponse) => {
           if (historyResponse && historyResponse.success && historyResponse.data) {
             exportHistory = historyResponse.data;
+            turnChanges = await diffExportedTurns(turns, exportHistory);
             updateExportStatusUI();
+            
+            // Check Notion for deleted blocks; missing turns are restored by an update
+            exportVerification = await verifyExport();
+            if (exportVerification) {
+              turnChanges = await diffExportedTurns(turns, exportHistory, exportVerification.missingTurns);
+              updateExportStatusUI();
+            }
           }
         });
       }
@@ -244,7 +477,30 @@ async function checkConversationStatus() {
   }
 }
 
+// Ask the background worker whether the exported blocks still exist; null when it can't tell
+function verifyExport() {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage({
+      action: 'verifyExport',
+      conversationUrl: currentConversationUrl
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        resolve(null);
+        return;
+      }
+      resolve(response.data);
+    });
+  });
+}
+
 function updateExportStatusUI() {
+  if (!isNotionTarget()) {
+    // File exports are always full exports; Notion history does not apply
+    exportStatusDiv.classList.remove('show');
+    exportButtonsDiv.innerHTML = `<button id="exportBtn">Download ${FILE_TARGET_LABELS[exportTarget]} File</button>`;
+    return;
+  }
+  
   if (!exportHistory) {
     exportStatusDiv.classList.remove('show');
     // Show default export button
@@ -252,17 +508,54 @@ function updateExportStatusUI() {
     return;
   }
   
-  const newTurns = currentTurnCount - exportHistory.turnCount;
+  const { added, changed, removed, restored } = turnChanges;
+  const plural = count => count > 1 ? 's' : '';
+  const changeCount = added.length + changed.length + removed.length + restored.length;
   const timeAgo = getTimeAgo(exportHistory.exportedAt);
+  // Updates reuse the lens recorded in export history
+  lensHelp.textContent = exportHistory.lensName
+    ? `Updates use "${exportHistory.lensName}"; the selection applies to re-exports`
+    : 'Choose how each turn is summarized';
+  // ...and the layout it was first exported with
+  layoutHelp.textContent = `Updates use "${getNotionLayout(exportHistory.layoutId).name}"; the selection applies to re-exports`;
   
   // Show export status
   exportStatusDiv.classList.add('show');
   
-  if (newTurns > 0) {
-    // Has new turns - show update option
+  if (exportVerification && exportVerification.parentMissing) {
+    // The export was deleted in Notion - nothing left to update
+    exportStatusContent.innerHTML = `
+      <div class="export-status-info">
+        <span class="status-badge missing">Deleted in Notion</span>
+      </div>
+      <div class="export-status-info">
+        Last exported: <strong>${timeAgo}</strong>
+      </div>
+      <div class="export-status-info">
+        The exported blocks are no longer in Notion. Export again to recreate them.
+      </div>
+    `;
+    
+    exportButtonsDiv.innerHTML = `
+      <button id="reexportBtn" ${selectedPageId ? '' : 'disabled'}>Export Again</button>
+    `;
+    
+    document.getElementById('reexportBtn').addEventListener('click', () => handleExport('full'));
+    
+  } else if (hasTurnChanges(turnChanges)) {
+    // New, edited, removed or missing turns - show update option
+    const badges = [
+      added.length > 0 ? `+${added.length} new turn${plural(added.length)}` : null,
+      changed.length > 0 ? `${changed.length} edited turn${plural(changed.length)}` : null,
+      removed.length > 0 ? `${removed.length} removed turn${plural(removed.length)}` : null
+    ].filter(Boolean).map(text => `<span class=\"status-badge update\">${text}</span>`).join(' ') +
+      (restored.length > 0
+        ? ` <span class="status-badge missing">${restored.length} turn${plural(restored.length)} missing in Notion</span>`
+        : '');
+    
     exportStatusContent.innerHTML = `
       <div class=\"export-status-info\">
-        <span class=\"status-badge update\">+${newTurns} new turn${newTurns > 1 ? 's' : ''}</span>
+        ${badges}
       </div>
       <div class=\"export-status-info\">
         Last exported: <strong>${timeAgo}</strong>
@@ -274,7 +567,7 @@ function updateExportStatusUI() {
     
     exportButtonsDiv.innerHTML = `
       <div class=\"button-group\">
-        <button id=\"updateBtn\">Update (+${newTurns})</button>
+        <button id=\"updateBtn\">Update (${changeCount} change${plural(changeCount)})</button>
         <button id=\"reexportBtn\" class=\"secondary\">Re-export</button>
       </div>
     `;
@@ -283,7 +576,7 @@ function updateExportStatusUI() {
     document.getElementById('updateBtn').addEventListener('click', () => handleExport('update'));
     document.getElementById('reexportBtn').addEventListener('click', () => handleExport('full'));
     
-  } else if (newTurns === 0) {
+  } else {
     // Up to date
     exportStatusContent.innerHTML = `
       <div class=\"export-status-info\">
@@ -304,19 +597,16 @@ function updateExportStatusUI() {
     
     document.getElementById('reexportBtn').addEventListener('click', () => handleExport('full'));
   }
-}
-
-function getTimeAgo(isoString) {
-  const date = new Date(isoString);
-  const now = new Date();
-  const seconds = Math.floor((now - date) / 1000);
   
-  if (seconds < 60) return 'just now';
-  if (seconds < 3600) return `${Math.floor(seconds / 60)} minute${Math.floor(seconds / 60) > 1 ? 's' : ''} ago`;
-  if (seconds < 86400) return `${Math.floor(seconds / 3600)} hour${Math.floor(seconds / 3600) > 1 ? 's' : ''} ago`;
-  if (seconds < 604800) return `${Math.floor(seconds / 86400)} day${Math.floor(seconds / 86400) > 1 ? 's' : ''} ago`;
-  
-  return date.toLocaleDateString();
+  // Lens names are user-defined, so the name is set as text
+  if (exportHistory.lensName) {
+    const lensInfo = document.createElement('div');
+    lensInfo.className = 'export-status-info';
+    const lensName = document.createElement('strong');
+    lensName.textContent = exportHistory.lensName;
+    lensInfo.append('Lens: ', lensName);
+    exportStatusContent.appendChild(lensInfo);
+  }
 }
 
 function showSelectedPage(title) {
@@ -325,7 +615,6 @@ function showSelectedPage(title) {
       <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" style="width: 14px; height: 14px; stroke-width: 2; display: inline-block; vertical-align: text-top; margin-right: 6px;">
         <polyline points="20 6 9 17 4 12"/>
       </svg>
-      ${title}
     </span>
     <span class="selected-page-link" title="Open in Notion">
       <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor">
@@ -334,6 +623,8 @@ function showSelectedPage(title) {
       </svg>
     </span>
   `;
+  // The page title is set as text after the check mark
+  selectedPageDiv.querySelector('.selected-page-text').append(title);
   selectedPageDiv.classList.add('show');
   
   // Add click handler to open the page
@@ -346,6 +637,11 @@ function showSelectedPage(title) {
 
 // Export/Update handler
 async function handleExport(mode = 'full') {
+  if (!isNotionTarget()) {
+    await handleFileDownload();
+    return;
+  }
+  
   // Get credentials from storage
   const result = await chrome.storage.local.get(['anthropicApiKey', 'notionToken']);
   const apiKey = result.anthropicApiKey;
@@ -362,7 +658,7 @@ async function handleExport(mode = 'full') {
   }
   
   if (!selectedPageId) {
-    showStatus('error', 'Please select a Notion page');
+    showStatus('error', exportTarget === 'notionDatabase' ? 'Please select a Notion database' : 'Please select a Notion page');
     return;
   }
   
@@ -373,42 +669,15 @@ async function handleExport(mode = 'full') {
     
     showStatus('info', 'Extracting conversation...');
     
-    // Get active tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab.url.includes('claude.ai')) {
-      showStatus('error', 'Please open this extension on a claude.ai conversation page');
-      allButtons.forEach(btn => btn.disabled = false);
-      return;
-    }
-    
-    // Extract conversation from page
-    let response;
-    try {
-      response = await chrome.tabs.sendMessage(tab.id, { 
-        action: 'extractConversation' 
-      });
-    } catch (msgError) {
-      if (msgError.message.includes('Could not establish connection')) {
-        throw new Error('Content script not loaded. Please refresh the Claude.ai page and try again.');
-      }
-      throw msgError;
-    }
-    
-    if (!response || !response.success) {
-      throw new Error(response?.error || 'Failed to extract conversation');
-    }
-    
-    const turns = response.data;
-    const chatTitle = response.title || 'Claude Conversation';
-    const conversationUrl = tab.url;
+    const { turns, chatTitle, conversationUrl, diagnostics } = await extractActiveConversation();
+    showExtractionDiagnostics(diagnostics);
     
     if (turns.length === 0) {
       throw new Error('No conversation turns found');
     }
     
     const statusMessage = mode === 'update' 
-      ? `Found ${turns.length - exportHistory.turnCount} new turns. Starting update in background...`
+      ? 'Checking for new and edited turns. Starting update in background...'
       : `Found ${turns.length} turns. Starting export in background...`;
     
     showStatus('info', statusMessage);
@@ -422,9 +691,73 @@ async function handleExport(mode = 'full') {
         conversationUrl,
         apiKey,
         notionToken: notionTokenValue,
-        pageId: selectedPageId,
+        pageId: exportTarget === 'notionDatabase' ? null : selectedPageId,
+        databaseId: exportTarget === 'notionDatabase' ? selectedPageId : null,
+        destination: NOTION_TARGET_DESTINATIONS[exportTarget],
         exportMode: mode,
-        existingExportData: mode === 'update' ? exportHistory : null
+        existingExportData: mode === 'update' ? exportHistory : null,
+        lensId: lensSelect.value,
+        layoutId: layoutSelect.value
+      }
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        showStatus('error', chrome.runtime.lastError.message);
+        allButtons.forEach(btn => btn.disabled = false);
+        return;
+      }
+      if (!response || !response.success) {
+        showStatus('error', response?.error || 'Export failed');
+        allButtons.forEach(btn => btn.disabled = false);
+        return;
+      }
+      
+      // Start polling for progress of this job
+      activeJobId = response.jobId;
+      let progressMessage = mode === 'update' 
+        ? 'Update running in background. You can close this popup or switch tabs.'
+        : 'Export running in background. You can close this popup or switch tabs.';
+      if (response.position > 0) {
+        progressMessage = `Queued behind ${response.position} other export${response.position === 1 ? '' : 's'}. You can close this popup or switch tabs.`;
+      }
+      showStatus('info', progressMessage);
+      progressDiv.style.display = 'block';
+      startProgressPolling();
+    });
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    showStatus('error', `Error: ${error.message}`);
+    progressDiv.style.display = 'none';
+    const allButtons = exportButtonsDiv.querySelectorAll('button');
+    allButtons.forEach(btn => btn.disabled = false);
+  }
+}
+
+// Export to a local file; summaries are added when an Anthropic API key is configured
+async function handleFileDownload() {
+  const { anthropicApiKey } = await chrome.storage.local.get(['anthropicApiKey']);
+  const allButtons = exportButtonsDiv.querySelectorAll('button');
+  
+  try {
+    allButtons.forEach(btn => btn.disabled = true);
+    showStatus('info', 'Extracting conversation...');
+    
+    const { turns, chatTitle, conversationUrl, diagnostics } = await extractActiveConversation();
+    showExtractionDiagnostics(diagnostics);
+    
+    if (turns.length === 0) {
+      throw new Error('No conversation turns found');
+    }
+    
+    chrome.runtime.sendMessage({
+      action: 'startFileExport',
+      data: {
+        turns,
+        chatTitle,
+        conversationUrl,
+        apiKey: anthropicApiKey || null,
+        format: exportTarget,
+        lensId: lensSelect.value
       }
     }, (response) => {
       if (chrome.runtime.lastError) {
@@ -436,11 +769,9 @@ async function handleExport(mode = 'full') {
       }
     });
     
-    // Start polling for progress
-    const progressMessage = mode === 'update' 
-      ? 'Update running in background. You can close this popup or switch tabs.'
-      : 'Export running in background. You can close this popup or switch tabs.';
-    showStatus('info', progressMessage);
+    showStatus('info', anthropicApiKey
+      ? `Found ${turns.length} turns. Summarizing in background before download...`
+      : `Found ${turns.length} turns. Preparing download (no API key, so no summaries)...`);
     progressDiv.style.display = 'block';
     startProgressPolling();
     
@@ -448,11 +779,89 @@ async function handleExport(mode = 'full') {
     console.error('Export error:', error);
     showStatus('error', `Error: ${error.message}`);
     progressDiv.style.display = 'none';
-    const allButtons = exportButtonsDiv.querySelectorAll('button');
     allButtons.forEach(btn => btn.disabled = false);
   }
 }
 
+// Extract turn pairs and title from the active claude.ai tab
+async function extractActiveConversation() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (!tab || !tab.url || !tab.url.includes('claude.ai')) {
+    throw new Error('Please open this extension on a claude.ai conversation page');
+  }
+  
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tab.id, { 
+      action: 'extractConversation',
+      includeArtifacts: true,
+      includeAttachments: true
+    });
+  } catch (msgError) {
+    if (msgError.message.includes('Could not establish connection')) {
+      throw new Error('Content script not loaded. Please refresh the Claude.ai page and try again.');
+    }
+    throw msgError;
+  }
+  
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to extract conversation');
+  }
+  
+  return {
+    turns: response.data,
+    chatTitle: response.title || 'Claude Conversation',
+    conversationUrl: normalizeConversationUrl(tab.url),
+    diagnostics: response.diagnostics || null
+  };
+}
+
+// Warn above the export button when the extraction looks wrong (mislabelled, missing or empty turns)
+function showExtractionDiagnostics(diagnostics) {
+  extractionDiagnostics = diagnostics || null;
+  extractionWarningList.innerHTML = '';
+  
+  const warnings = extractionDiagnostics ? extractionDiagnostics.warnings : [];
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    extractionWarningList.appendChild(item);
+  });
+  extractionWarningDiv.classList.toggle('show', warnings.length > 0);
+}
+
+// Save the content script's diagnostics report as a JSON file
+async function downloadDiagnosticsReport() {
+  diagnosticsBtn.disabled = true;
+  try {
+    if (claudeTabId === null) {
+      throw new Error('Open a claude.ai conversation first');
+    }
+    const response = await chrome.tabs.sendMessage(claudeTabId, { action: 'getDiagnostics' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from the claude.ai tab');
+    }
+    
+    const report = {
+      extensionVersion: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      extraction: extractionDiagnostics,
+      ...response.data
+    };
+    await chrome.downloads.download({
+      url: `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(report, null, 2))}`,
+      filename: `claude-exporter-diagnostics-${report.generatedAt.substring(0, 10)}.json`,
+      saveAs: false
+    });
+    showStatus('success', 'Diagnostics report saved to your downloads. It contains no conversation text.');
+  } catch (error) {
+    showStatus('error', `Could not build the diagnostics report: ${error.message}`);
+  } finally {
+    diagnosticsBtn.disabled = false;
+  }
+}
+
 // Delegated event listener for export button (when it's the default one)
 exportButtonsDiv.addEventListener('click', (e) => {
   if (e.target.id === 'exportBtn' && !e.target.disabled) {
@@ -474,6 +883,8 @@ function extractPageId(url) {
 
 // Progress polling
 let progressInterval = null;
+// Queued export job this popup is following
+let activeJobId = null;
 
 function startProgressPolling() {
   if (progressInterval) {
@@ -481,7 +892,7 @@ function startProgressPolling() {
   }
   
   progressInterval = setInterval(async () => {
-    chrome.runtime.sendMessage({ action: 'getProgress' }, (response) => {
+    chrome.runtime.sendMessage({ action: 'getProgress', jobId: activeJobId }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('Error getting progress:', chrome.runtime.lastError);
         return;
@@ -493,6 +904,7 @@ function startProgressPolling() {
         // Export complete or not started
         clearInterval(progressInterval);
         progressInterval = null;
+        activeJobId = null;
         exportBtn.disabled = false;
         showStatus('success', 'Export completed!');
         progressDiv.style.display = 'none';
@@ -502,6 +914,7 @@ function startProgressPolling() {
       if (progress.status === 'error') {
         clearInterval(progressInterval);
         progressInterval = null;
+        activeJobId = null;
         exportBtn.disabled = false;
         showStatus('error', progress.message);
         progressDiv.style.display = 'none';
@@ -7,6 +7,15 @@ const saveBtn = document.getElementById('saveBtn');
 const testBtn = document.getElementById('testBtn');
 const backBtn = document.getElementById('backBtn');
 const statusDiv = document.getElementById('status');
+const summaryModelSelect = document.getElementById('summaryModel');
+const fallbackModelSelect = document.getElementById('fallbackModel');
+const refreshModelsLink = document.getElementById('refreshModelsLink');
+const useMessageBatchesInput = document.getElementById('useMessageBatches');
+const batchThresholdInput = document.getElementById('batchThreshold');
+const summaryConcurrencyInput = document.getElementById('summaryConcurrency');
+const includeProcessSectionsInput = document.getElementById('includeProcessSections');
+const cacheStatsText = document.getElementById('cacheStats');
+const clearCacheBtn = document.getElementById('clearCacheBtn');
 
 // Load saved credentials
 chrome.storage.local.get(['anthropicApiKey', 'notionToken'], (result) => {
@@ -17,6 +26,100 @@ chrome.storage.local.get(['anthropicApiKey', 'notionToken'], (result) => {
   if (result.notionToken) {
     notionTokenInput.value = result.notionToken;
   }
+  
+  loadModelOptions(false);
+});
+
+getBatchSettings().then(({ useMessageBatches, batchThreshold }) => {
+  useMessageBatchesInput.checked = useMessageBatches;
+  batchThresholdInput.value = batchThreshold;
+});
+
+getConcurrencySettings().then(({ summaryConcurrency }) => {
+  summaryConcurrencyInput.value = summaryConcurrency;
+});
+
+getExportContentSettings().then(({ includeProcessSections }) => {
+  includeProcessSectionsInput.checked = includeProcessSections;
+});
+
+loadCacheStats();
+
+// Refresh the model list from the Models API
+refreshModelsLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  loadModelOptions(true);
+});
+
+// Fill both model dropdowns; saved choices stay listed even if the API no longer returns them
+async function loadModelOptions(forceRefresh) {
+  const settings = await getModelSettings();
+  const apiKey = apiKeyInput.value.trim();
+  let models = [];
+  
+  if (apiKey) {
+    try {
+      models = await getAvailableModels(apiKey, forceRefresh);
+      if (forceRefresh) {
+        showStatus('success', `Found ${models.length} models`);
+      }
+    } catch (error) {
+      showStatus('error', `Could not load models: ${error.isAuthError ? 'check your API key' : error.message}`);
+    }
+  }
+  
+  const ids = models.map(model => model.id);
+  [settings.summaryModel, settings.fallbackModel].filter(Boolean).forEach(id => {
+    if (!ids.includes(id)) {
+      models.push({ id, displayName: id });
+      ids.push(id);
+    }
+  });
+  
+  fillModelSelect(summaryModelSelect, models, null);
+  fillModelSelect(fallbackModelSelect, models, '(no fallback)');
+  summaryModelSelect.value = settings.summaryModel;
+  fallbackModelSelect.value = settings.fallbackModel || '';
+}
+
+function fillModelSelect(select, models, emptyLabel) {
+  select.innerHTML = '';
+  if (emptyLabel) {
+    select.appendChild(new Option(emptyLabel, ''));
+  }
+  models.forEach(model => {
+    const label = model.displayName && model.displayName !== model.id
+      ? `${model.displayName} (${model.id})`
+      : model.id;
+    select.appendChild(new Option(label, model.id));
+  });
+}
+
+async function loadCacheStats() {
+  try {
+    const stats = await getSummaryCacheStats();
+    const sizeKb = Math.max(1, Math.round(stats.bytes / 1024));
+    cacheStatsText.textContent = stats.entries === 0
+      ? 'No summaries cached yet'
+      : `${stats.entries} summaries cached (about ${sizeKb} KB), reused ${stats.hits} times, ` +
+        `saving about ${stats.tokensSaved.toLocaleString()} tokens`;
+  } catch (error) {
+    cacheStatsText.textContent = `Could not read the cache: ${error.message}`;
+  }
+}
+
+clearCacheBtn.addEventListener('click', async () => {
+  if (!confirm('Clear all cached summaries? Turns will be summarized again on their next export.')) {
+    return;
+  }
+  
+  try {
+    await clearSummaryCache();
+    showStatus('success', 'Summary cache cleared');
+  } catch (error) {
+    showStatus('error', `Could not clear the cache: ${error.message}`);
+  }
+  loadCacheStats();
 });
 
 // Back button
@@ -54,6 +157,10 @@ saveBtn.addEventListener('click', async () => {
       anthropicApiKey: apiKey,
       notionToken: notionToken
     });
+    await saveModelSettings(summaryModelSelect.value, fallbackModelSelect.value);
+    await saveBatchSettings(useMessageBatchesInput.checked, batchThresholdInput.value);
+    await saveConcurrencySettings(summaryConcurrencyInput.value);
+    await saveExportContentSettings(includeProcessSectionsInput.checked);
     
     showStatus('success', 'Settings saved successfully!');
     
@@ -79,27 +186,11 @@ testBtn.addEventListener('click', async () => {
   testBtn.disabled = true;
   
   try {
-    const response = await fetch('https://api.notion.com/v1/search', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${notionToken}`,
-        'Content-Type': 'application/json',
-        'Notion-Version': '2022-06-28'
-      },
-      body: JSON.stringify({
-        filter: { property: 'object', value: 'page' },
-        page_size: 1
-      })
-    });
-    
-    if (response.ok) {
-      showStatus('success', 'Notion connection successful!');
-    } else {
-      const error = await response.json();
-      showStatus('error', `Connection failed: ${error.message || 'Invalid token'}`);
-    }
+    await createNotionClient(notionToken).search('', 'page', 1);
+    showStatus('success', 'Notion connection successful!');
   } catch (error) {
-    showStatus('error', `Connection failed: ${error.message}`);
+    const message = error.isAuthError ? 'Invalid token' : error.message;
+    showStatus('error', `Connection failed: ${message}`);
   } finally {
     testBtn.disabled = false;
   }
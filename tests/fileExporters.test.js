@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const exporters = loadScripts(['utils/markdownToNotion.js', 'utils/fileExporters.js']);
+
+function makeConversation(overrides = {}) {
+  return {
+    title: 'Plans <draft>',
+    url: 'https://claude.ai/chat/abc',
+    exportedAt: '2026-03-04T05:06:07.000Z',
+    lens: { id: 'default', name: 'Default' },
+    model: 'claude-sonnet-4-20250514',
+    source: 'api',
+    turns: [{
+      turnNumber: 1,
+      summary: {
+        title: 'Greeting',
+        sections: [
+          { label: 'Summary', type: 'text', value: 'Said hello' },
+          { label: 'Key points', type: 'list', value: ['one', 'two'] }
+        ]
+      },
+      user: 'Hi <there>',
+      assistant: 'Hello **friend**\n\n- item',
+      artifacts: [{ id: 'a1', title: 'Script', kind: 'code', language: 'js', content: 'run()' }],
+      attachments: [{ name: 'notes.pdf', kind: 'document', size: 2048 }]
+    }],
+    ...overrides
+  };
+}
+
+test('builds safe file names from the title and export date', () => {
+  assert.equal(
+    exporters.buildExportFilename('a/b: "c"?', 'markdown', '2026-03-04T05:06:07.000Z'),
+    'ab c (2026-03-04).md'
+  );
+  assert.equal(exporters.buildExportFilename('   ', 'html', '2026-03-04T00:00:00Z'), 'Claude Conversation (2026-03-04).html');
+  assert.equal(exporters.buildExportFilename('x'.repeat(200), 'json', '2026-03-04').length, 80 + ' (2026-03-04).json'.length);
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => exporters.buildFileExport('pdf', makeConversation()), /Unknown export format: pdf/);
+});
+
+test('writes Markdown with metadata, summaries, messages and artifacts', () => {
+  const markdown = exporters.buildFileExport('markdown', makeConversation());
+  assert.match(markdown, /^# Plans <draft>\n/);
+  assert.match(markdown, /- \*\*Lens:\*\* Default/);
+  assert.match(markdown, /## Turn 1: Greeting/);
+  assert.match(markdown, /\*\*Key points\*\*\n\n- one\n- two/);
+  assert.match(markdown, /- Attachment: notes\.pdf \(document, 2 KB\)/);
+  assert.match(markdown, /### Artifact: Script\n\n```js\nrun\(\)\n```/);
+});
+
+test('writes JSON with every turn and its messages', () => {
+  const data = JSON.parse(exporters.buildFileExport('json', makeConversation()));
+  assert.equal(data.format, 'claude-to-notion-exporter');
+  assert.equal(data.turnCount, 1);
+  assert.equal(data.turns[0].user.markdown, 'Hi <there>');
+  assert.equal(data.turns[0].summary.title, 'Greeting');
+  assert.deepEqual(data.turns[0].thinking, []);
+});
+
+test('writes HTML with text escaped and Markdown rendered', () => {
+  const html = exporters.buildFileExport('html', makeConversation());
+  assert.match(html, /<title>Plans &lt;draft&gt;<\/title>/);
+  assert.match(html, /<p>Hi &lt;there&gt;<\/p>/);
+  assert.match(html, /<strong>friend<\/strong>/);
+  assert.match(html, /<ul><li><p>item<\/p><\/li><\/ul>/);
+  assert.ok(!html.includes('<there>'));
+});
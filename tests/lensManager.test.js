@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadScripts, toPlain } = require('./loadScripts');
+
+const lenses = loadScripts(['utils/lensManager.js']);
+
+function makeLens(overrides = {}) {
+  return {
+    name: 'Action items',
+    prompt: 'Summarize.\nUser: {USER_CONTENT}\nAssistant: {ASSISTANT_CONTENT}',
+    titleField: 'headline',
+    fields: [
+      { key: 'headline', label: 'Headline', type: 'text' },
+      { key: 'actions', label: 'Actions', type: 'list' }
+    ],
+    ...overrides
+  };
+}
+
+test('accepts a complete lens and every built-in lens', () => {
+  assert.deepEqual(toPlain(lenses.validateLens(makeLens())), []);
+  vm.runInContext('BUILT_IN_LENSES', lenses).forEach(lens => {
+    assert.deepEqual(toPlain(lenses.validateLens(lens)), [], lens.name);
+  });
+});
+
+test('requires a name and a prompt with both conversation placeholders', () => {
+  assert.deepEqual(toPlain(lenses.validateLens(makeLens({ name: ' ', prompt: 'User: {USER_CONTENT}' }))), [
+    'Lens name is required',
+    'Prompt must include {USER_CONTENT} and {ASSISTANT_CONTENT}'
+  ]);
+});
+
+test('rejects invalid, duplicate and mistyped fields', () => {
+  const errors = toPlain(lenses.validateLens(makeLens({
+    fields: [
+      { key: 'headline', label: 'Headline', type: 'text' },
+      { key: 'headline', label: 'Again', type: 'text' },
+      { key: '1st', label: 'Bad key', type: 'text' },
+      { key: 'score', label: 'Score', type: 'number' }
+    ]
+  })));
+  assert.deepEqual(errors, [
+    'Duplicate field key "headline"',
+    'Invalid field key "1st" (use letters, digits and underscores)',
+    'Invalid type for field "score"'
+  ]);
+});
+
+test('requires the title field to be one of the text fields', () => {
+  assert.deepEqual(toPlain(lenses.validateLens(makeLens({ titleField: 'actions' }))), ['Title field must be a text field']);
+  assert.deepEqual(toPlain(lenses.validateLens(makeLens({ titleField: 'missing' }))), ['Title field must be one of the output fields']);
+  assert.deepEqual(toPlain(lenses.validateLens(makeLens({ fields: [], titleField: null }))), [
+    'Lens needs at least one output field',
+    'Title field must be one of the output fields'
+  ]);
+});
+
+test('fills placeholders in one pass, leaving placeholder text in the conversation alone', () => {
+  const prompt = lenses.buildLensPrompt(makeLens(), 'say {ASSISTANT_CONTENT} $&', 'ok');
+  assert.match(prompt, /User: say \{ASSISTANT_CONTENT\} \$&\nAssistant: ok/);
+  assert.match(prompt, /Format your response as JSON:\n\{\n {2}"headline": "\.\.\.",\n {2}"actions": \[/);
+});
+
+test('maps JSON replies onto the lens fields', () => {
+  const parsed = toPlain(lenses.parseLensResponse(makeLens(), 'Sure: {"headline": " Ship it ", "actions": "deploy"}'));
+  assert.deepEqual(parsed, {
+    title: 'Ship it',
+    sections: [{ key: 'actions', label: 'Actions', type: 'list', value: ['deploy'] }]
+  });
+});
@@ -0,0 +1,29 @@
+// Loads extension scripts into one sandbox, sharing globals the way importScripts and
+// <script> tags do, so the utils can be tested without a browser or any dependencies
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// globals: extra or replacement globals for the sandbox, such as a fetch mock
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, crypto, TextEncoder, URL, setTimeout, ...globals });
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+// Objects made in the sandbox have its prototypes, which deepStrictEqual tells apart
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Plain text of a block's rich_text
+function blockText(block) {
+  return block[block.type].rich_text.map(item => item.type === 'text' ? item.text.content : '').join('');
+}
+
+module.exports = { loadScripts, toPlain, blockText };
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain, blockText } = require('./loadScripts');
+
+const converter = loadScripts(['utils/markdownToNotion.js']);
+const markdownToNotionBlocks = (...args) => toPlain(converter.markdownToNotionBlocks(...args));
+const nodesToNotionBlocks = nodes => toPlain(converter.nodesToNotionBlocks(nodes));
+
+// n inline segments alternating bold and plain text
+function boldRuns(n) {
+  return Array.from({ length: n }, (_, i) => (i % 2 === 0 ? `**b${i}**` : ` p${i} `)).join('');
+}
+
+test('converts headings, code, quotes and dividers', () => {
+  const blocks = markdownToNotionBlocks('# Title\n\n```py\nprint(1)\n```\n\n> quoted\n\n---');
+  assert.deepEqual(blocks.map(block => block.type), ['heading_1', 'code', 'quote', 'divider']);
+  assert.equal(blocks[1].code.language, 'python');
+  assert.equal(blockText(blocks[1]), 'print(1)');
+  assert.equal(blockText(blocks[2]), 'quoted');
+});
+
+test('annotates inline Markdown and links http(s) URLs', () => {
+  const [paragraph] = markdownToNotionBlocks('**bold** and `code` at [site](https://example.com)');
+  assert.deepEqual(paragraph.paragraph.rich_text, [
+    { type: 'text', text: { content: 'bold' }, annotations: { bold: true } },
+    { type: 'text', text: { content: ' and ' } },
+    { type: 'text', text: { content: 'code' }, annotations: { code: true } },
+    { type: 'text', text: { content: ' at ' } },
+    { type: 'text', text: { content: 'site', link: { url: 'https://example.com' } } }
+  ]);
+});
+
+test('drops links Notion would reject but keeps their text', () => {
+  const longUrl = `https://example.com/${'a'.repeat(2000)}`;
+  const [paragraph] = markdownToNotionBlocks(`[mail](mailto:a@example.com) [long](${longUrl})`);
+  assert.equal(blockText(paragraph), 'mail long');
+  assert.ok(paragraph.paragraph.rich_text.every(item => !item.text.link));
+});
+
+test('nests list items by indentation', () => {
+  const [item] = markdownToNotionBlocks('- one\n  - two\n    - [x] three');
+  assert.equal(item.type, 'bulleted_list_item');
+  const [child] = item.bulleted_list_item.children;
+  assert.equal(blockText(child), 'two');
+  const [grandchild] = child.bulleted_list_item.children;
+  assert.equal(grandchild.type, 'to_do');
+  assert.equal(grandchild.to_do.checked, true);
+});
+
+test('splits long paragraphs into segments of at most 2000 characters', () => {
+  const [paragraph] = markdownToNotionBlocks('x'.repeat(4500));
+  assert.deepEqual(paragraph.paragraph.rich_text.map(item => item.text.content.length), [2000, 2000, 500]);
+});
+
+test('continues a paragraph past 100 segments in further paragraphs', () => {
+  const blocks = markdownToNotionBlocks(boldRuns(150));
+  assert.deepEqual(blocks.map(block => block.paragraph.rich_text.length), [100, 50]);
+});
+
+test('continues list item text past 100 segments in child paragraphs before nested items', () => {
+  const [item] = markdownToNotionBlocks(`- ${boldRuns(150)}\n  - nested`);
+  const content = item.bulleted_list_item;
+  assert.equal(content.rich_text.length, 100);
+  assert.deepEqual(content.children.map(child => child.type), ['paragraph', 'bulleted_list_item']);
+  assert.equal(content.children[0].paragraph.rich_text.length, 50);
+  assert.equal(blockText(content.children[1]), 'nested');
+});
+
+test('continues table cell text past 100 segments in a paragraph after the table', () => {
+  const blocks = markdownToNotionBlocks(`| a | b |\n|---|---|\n| ${boldRuns(150)} | y |`);
+  assert.deepEqual(blocks.map(block => block.type), ['table', 'paragraph']);
+  const [, row] = blocks[0].table.children;
+  assert.equal(row.table_row.cells[0].length, 100);
+  assert.match(blockText(blocks[1]), /^Row 2, column 1 \(continued\): /);
+  assert.equal(blocks[1].paragraph.rich_text.length, 51);
+});
+
+test('splits tables over 100 rows, repeating the header', () => {
+  const rows = Array.from({ length: 150 }, (_, i) => `| ${i} |`).join('\n');
+  const blocks = markdownToNotionBlocks(`| n |\n|---|\n${rows}`);
+  assert.deepEqual(blocks.map(block => block.table.children.length), [100, 52]);
+  assert.equal(blocks[1].table.children[0].table_row.cells[0][0].text.content, 'n');
+});
+
+test('links artifact placeholders to the block holding the artifact', () => {
+  const artifacts = [{ id: 'art-1', title: 'My App' }];
+  const [callout] = markdownToNotionBlocks('[Artifact: My App]', { 'art-1': 'https://notion.so/p#b' }, artifacts);
+  assert.equal(callout.type, 'callout');
+  assert.deepEqual(callout.callout.rich_text[1].text, { content: 'My App', link: { url: 'https://notion.so/p#b' } });
+});
+
+test('converts the node tree, nesting list item children', () => {
+  const blocks = nodesToNotionBlocks([
+    { type: 'heading', level: 4, children: [{ type: 'text', text: 'Deep' }] },
+    {
+      type: 'list',
+      ordered: true,
+      items: [{
+        checked: null,
+        children: [
+          { type: 'paragraph', children: [{ type: 'text', text: 'step', marks: { bold: true } }] },
+          { type: 'code', text: 'ls', language: 'sh' }
+        ]
+      }]
+    }
+  ]);
+  assert.deepEqual(blocks.map(block => block.type), ['heading_3', 'numbered_list_item']);
+  const item = blocks[1].numbered_list_item;
+  assert.deepEqual(item.rich_text, [{ type: 'text', text: { content: 'step' }, annotations: { bold: true } }]);
+  assert.deepEqual(item.children.map(child => child.type), ['code']);
+});
+
+test('continues node list item text past 100 segments in child paragraphs', () => {
+  const segments = Array.from({ length: 150 }, (_, i) => ({ type: 'text', text: `t${i}`, marks: { bold: i % 2 === 0 } }));
+  const [item] = nodesToNotionBlocks([
+    { type: 'list', ordered: false, items: [{ checked: null, children: [{ type: 'paragraph', children: segments }] }] }
+  ]);
+  assert.equal(item.bulleted_list_item.rich_text.length, 100);
+  assert.equal(item.bulleted_list_item.children[0].paragraph.rich_text.length, 50);
+});
+
+test('keeps equations over 1000 characters as LaTeX code', () => {
+  const blocks = nodesToNotionBlocks([
+    { type: 'math', expression: 'x^2' },
+    { type: 'math', expression: 'y'.repeat(1001) },
+    { type: 'paragraph', children: [{ type: 'math', expression: 'z'.repeat(1001) }] }
+  ]);
+  assert.deepEqual(blocks[0], { object: 'block', type: 'equation', equation: { expression: 'x^2' } });
+  assert.equal(blocks[1].type, 'code');
+  assert.equal(blocks[1].code.language, 'latex');
+  assert.deepEqual(blocks[2].paragraph.rich_text[0].annotations, { code: true });
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./loadScripts');
+
+// In-memory Notion that creates appended blocks, nested children included, and records
+// every append request
+function createFakeNotion() {
+  const blocks = { root: { type: 'page', children: [] } };
+  const appends = [];
+  let nextId = 1;
+
+  function create(block) {
+    const id = `block-${nextId++}`;
+    const children = (block[block.type] && block[block.type].children) || [];
+    blocks[id] = { type: block.type, children: children.map(create) };
+    return id;
+  }
+
+  async function fetch(url, { method, body }) {
+    const [, blockId] = url.match(/\/blocks\/([^/]+)\/children/);
+    let result;
+    if (method === 'PATCH') {
+      const { children } = JSON.parse(body);
+      appends.push({ blockId, children });
+      const ids = children.map(create);
+      blocks[blockId].children.push(...ids);
+      result = { results: ids.map(id => ({ id, type: blocks[id].type })) };
+    } else {
+      result = { results: blocks[blockId].children.map(id => ({ id, type: blocks[id].type })), has_more: false };
+    }
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => result };
+  }
+
+  // Block types below a block, nested the same way as the input tree
+  function tree(id) {
+    return blocks[id].children.map(childId => {
+      const children = tree(childId);
+      return children.length > 0 ? { type: blocks[childId].type, children } : { type: blocks[childId].type };
+    });
+  }
+
+  return { fetch, appends, tree };
+}
+
+function setup() {
+  const notion = createFakeNotion();
+  const context = loadScripts(['utils/notionClient.js'], {
+    fetch: notion.fetch,
+    FormData: class FormData {},
+    // Skip the rate-limit spacing between requests
+    setTimeout: callback => setImmediate(callback)
+  });
+  return { notion, context, client: context.createNotionClient('token') };
+}
+
+function paragraph(children = []) {
+  const block = { object: 'block', type: 'paragraph', paragraph: { rich_text: [] } };
+  if (children.length > 0) block.paragraph.children = children;
+  return block;
+}
+
+function columnList(columns) {
+  return {
+    object: 'block',
+    type: 'column_list',
+    column_list: { children: columns.map(children => ({ object: 'block', type: 'column', column: { children } })) }
+  };
+}
+
+function paragraphs(count) {
+  return Array.from({ length: count }, () => paragraph());
+}
+
+test('keeps childless children inline and defers deeper ones', () => {
+  const { context } = setup();
+  const inline = toPlain(context.splitBlockForAppend(paragraph(paragraphs(2))));
+  assert.equal(inline.block.paragraph.children.length, 2);
+  assert.deepEqual(inline.deferred, []);
+
+  const deep = toPlain(context.splitBlockForAppend(paragraph([paragraph(paragraphs(1))])));
+  assert.equal(deep.block.paragraph.children, undefined);
+  assert.equal(deep.deferred.length, 1);
+});
+
+test('sends each column of a column list with only its first block', () => {
+  const { context } = setup();
+  const part = toPlain(context.splitBlockForAppend(columnList([[paragraph(paragraphs(1)), paragraph()], [paragraph()]])));
+  const columns = part.block.column_list.children;
+  assert.deepEqual(columns.map(column => column.column.children.length), [1, 1]);
+  assert.equal(columns[0].column.children[0].paragraph.children, undefined);
+  assert.deepEqual(part.columns.map(column => column.length), [2, 1]);
+});
+
+test('batches appends at 100 blocks per request', async () => {
+  const { notion, client } = setup();
+  const created = toPlain(await client.appendBlockTree('root', paragraphs(250)));
+  assert.equal(created.length, 250);
+  assert.deepEqual(notion.appends.map(append => append.children.length), [100, 100, 50]);
+});
+
+test('starts a new request before 1000 blocks counting inline children', async () => {
+  const { notion, client } = setup();
+  // Each paragraph carries 99 inline children, so 100 blocks per paragraph
+  await client.appendBlockTree('root', Array.from({ length: 12 }, () => paragraph(paragraphs(99))));
+  assert.deepEqual(notion.appends.map(append => append.children.length), [10, 2]);
+});
+
+test('writes trees deeper than two levels under the returned block IDs', async () => {
+  const { notion, client } = setup();
+  const blocks = [paragraph([paragraph([paragraph([paragraph()])])])];
+  const created = toPlain(await client.appendBlockTree('root', blocks));
+  assert.deepEqual(notion.tree('root'), [
+    { type: 'paragraph', children: [{ type: 'paragraph', children: [{ type: 'paragraph', children: [{ type: 'paragraph' }] }] }] }
+  ]);
+  // The second request appends under the ID the first one returned
+  assert.equal(notion.appends[1].blockId, created[0].id);
+});
+
+test('fills the rest of each column after creating a column list', async () => {
+  const { notion, client } = setup();
+  await client.appendBlockTree('root', [
+    columnList([[paragraph([paragraph()]), paragraph(), paragraph()], [paragraph()]])
+  ]);
+  assert.deepEqual(notion.tree('root'), [{
+    type: 'column_list',
+    children: [
+      {
+        type: 'column',
+        children: [{ type: 'paragraph', children: [{ type: 'paragraph' }] }, { type: 'paragraph' }, { type: 'paragraph' }]
+      },
+      { type: 'column', children: [{ type: 'paragraph' }] }
+    ]
+  }]);
+});
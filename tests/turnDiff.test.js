@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, toPlain } = require('./loadScripts');
+
+const turnDiff = loadScripts(['utils/turnDiff.js']);
+
+function makeTurns(texts, source = 'api') {
+  return texts.map((assistant, i) => ({ turnNumber: i + 1, user: `question ${i + 1}`, assistant, source }));
+}
+
+async function diff(turns, exportData, missingTurns) {
+  return toPlain(await turnDiff.diffExportedTurns(turns, exportData, missingTurns));
+}
+
+async function exportOf(turns) {
+  return {
+    turnCount: turns.length,
+    extractionSource: turns[0].source,
+    turnHashes: toPlain(await turnDiff.hashTurns(turns))
+  };
+}
+
+test('reports nothing for an unchanged conversation', async () => {
+  const turns = makeTurns(['a', 'b']);
+  const result = await diff(turns, await exportOf(turns));
+  assert.deepEqual(
+    { added: result.added, changed: result.changed, removed: result.removed, restored: result.restored },
+    { added: [], changed: [], removed: [], restored: [] }
+  );
+  assert.equal(turnDiff.hasTurnChanges(result), false);
+});
+
+test('reports appended and edited turns', async () => {
+  const exportData = await exportOf(makeTurns(['a', 'b']));
+  const result = await diff(makeTurns(['a', 'b edited', 'c']), exportData);
+  assert.deepEqual(result.added, [3]);
+  assert.deepEqual(result.changed, [2]);
+  assert.equal(turnDiff.hasTurnChanges(result), true);
+});
+
+test('reports turns past the end of a shorter branch as removed', async () => {
+  const exportData = await exportOf(makeTurns(['a', 'b', 'c', 'd']));
+  const result = await diff(makeTurns(['a', 'b regenerated']), exportData);
+  assert.deepEqual(result.changed, [2]);
+  assert.deepEqual(result.removed, [3, 4]);
+});
+
+test('reports turns missing in Notion as restored rather than changed', async () => {
+  const exportData = await exportOf(makeTurns(['a', 'b', 'c']));
+  const result = await diff(makeTurns(['a', 'b edited', 'c']), exportData, [2, 3]);
+  assert.deepEqual(result.restored, [2, 3]);
+  assert.deepEqual(result.changed, []);
+});
+
+test('does not compare hashes across extraction sources', async () => {
+  const exportData = await exportOf(makeTurns(['a', 'b'], 'dom'));
+  const result = await diff(makeTurns(['a', 'b edited'], 'api'), exportData);
+  assert.deepEqual(result.changed, []);
+});
+
+test('treats exports without hashes as unchanged apart from added turns', async () => {
+  const result = await diff(makeTurns(['a', 'b edited', 'c'], 'dom'), { turnCount: 2 });
+  assert.deepEqual(result.added, [3]);
+  assert.deepEqual(result.changed, []);
+});
+
+test('reads turn blocks recorded before source blocks were tracked', () => {
+  assert.deepEqual(toPlain(turnDiff.getTurnBlocks({ turnBlockIds: { 1: 'toggle-1' } })), {
+    1: { toggleId: 'toggle-1', sourceTextId: null }
+  });
+  assert.deepEqual(toPlain(turnDiff.getTurnBlockIds({ toggleId: 'toggle-1' })), ['toggle-1']);
+});
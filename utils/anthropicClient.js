@@ -0,0 +1,306 @@
+// Anthropic API client - error classification, retries and usage reporting
+// Shared by the background worker (importScripts) and extension pages (<script>)
+
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_RETRIES = 4;
+const ANTHROPIC_RETRY_BASE_DELAY = 1000;
+
+// Adaptive throttling backs off when fewer than this many input or output tokens remain
+const ANTHROPIC_TOKEN_HEADROOM = 10000;
+
+// Error types the API reports that are worth retrying
+const ANTHROPIC_TRANSIENT_ERROR_TYPES = ['rate_limit_error', 'overloaded_error', 'api_error', 'timeout_error'];
+
+// Error from the Anthropic API (or from reaching it)
+// status: HTTP status, 0 for network failures
+// type: API error type such as 'rate_limit_error', 'overloaded_error', 'authentication_error', 'not_found_error'
+class AnthropicApiError extends Error {
+  constructor(message, status, type, retryAfter = null) {
+    super(`Anthropic API Error: ${message}`);
+    this.name = 'AnthropicApiError';
+    this.status = status;
+    this.type = type;
+    this.retryAfter = retryAfter;
+  }
+
+  // Transient failures go away on their own: rate limits, overload, server errors, network drops
+  get isRetryable() {
+    return this.status === 0 ||
+           this.status === 408 ||
+           this.status === 429 ||
+           this.status >= 500 ||
+           ANTHROPIC_TRANSIENT_ERROR_TYPES.includes(this.type);
+  }
+
+  // Requests that create something may have gone through when the response was lost or failed;
+  // only rate-limited and overloaded requests are known to have been turned away before they ran
+  get isRetryableWrite() {
+    return this.status === 429 || this.status === 529 ||
+           this.type === 'rate_limit_error' || this.type === 'overloaded_error';
+  }
+
+  // Bad key or missing permission; every further request will fail the same way
+  get isAuthError() {
+    return this.status === 401 || this.status === 403 ||
+           this.type === 'authentication_error' || this.type === 'permission_error';
+  }
+
+  get isModelNotFound() {
+    return this.status === 404 || this.type === 'not_found_error';
+  }
+}
+
+// options.onRateLimit receives the rate-limit headers of every response (see parseRateLimits)
+function createAnthropicClient(apiKey, options = {}) {
+  // One request with retries for transient failures; returns the parsed JSON body
+  // (or the raw text when responseType is 'text')
+  // idempotent: false for requests that create something billed, so a failure that may have
+  // been applied is not sent again (it would be created and charged twice)
+  async function request(method, path, body = null, { responseType = 'json', idempotent = true } = {}) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= ANTHROPIC_MAX_RETRIES; attempt++) {
+      try {
+        return await send(method, path, body, responseType);
+      } catch (error) {
+        lastError = error;
+        const retryable = idempotent ? error.isRetryable : error.isRetryableWrite;
+        if (!retryable || attempt === ANTHROPIC_MAX_RETRIES) {
+          throw error;
+        }
+
+        // Honour retry-after when the API sends one, otherwise back off exponentially: 1s, 2s, 4s, 8s
+        const delay = error.retryAfter !== null
+          ? error.retryAfter * 1000
+          : ANTHROPIC_RETRY_BASE_DELAY * Math.pow(2, attempt);
+        console.log(`Anthropic ${path} failed (${error.type || error.status}), retry ${attempt + 1}/${ANTHROPIC_MAX_RETRIES} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  async function send(method, path, body, responseType) {
+    const headers = {
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${ANTHROPIC_API_BASE}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (networkError) {
+      throw new AnthropicApiError(networkError.message || 'Network error', 0, 'network_error');
+    }
+
+    const rateLimits = parseRateLimits(response.headers);
+    if (options.onRateLimit) {
+      options.onRateLimit({ status: response.status, ...rateLimits });
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = errorData.error || {};
+      throw new AnthropicApiError(
+        error.message || response.statusText || `HTTP ${response.status}`,
+        response.status,
+        error.type || null,
+        rateLimits.retryAfter
+      );
+    }
+
+    return responseType === 'text' ? response.text() : response.json();
+  }
+
+  return {
+    request,
+
+    // Every model the key can use, newest first: [{ id, displayName, createdAt }]
+    async listModels() {
+      const models = [];
+      let afterId = null;
+
+      do {
+        const data = await request('GET', `/models?limit=100${afterId ? `&after_id=${encodeURIComponent(afterId)}` : ''}`);
+        models.push(...data.data.map(model => ({
+          id: model.id,
+          displayName: model.display_name || model.id,
+          createdAt: model.created_at
+        })));
+        afterId = data.has_more ? data.last_id : null;
+      } while (afterId);
+
+      return models;
+    },
+
+    // Single-prompt message; returns { text, model, usage: { inputTokens, outputTokens }, stopReason }
+    async createMessage(model, prompt, maxTokens = 1024) {
+      const data = await request('POST', '/messages', buildMessageParams(model, prompt, maxTokens));
+      return toMessageResult(data, model);
+    },
+
+    // Message Batches API: requests are [{ customId, model, prompt, maxTokens }]
+    createBatch(requests) {
+      return request('POST', '/messages/batches', {
+        requests: requests.map(item => ({
+          custom_id: item.customId,
+          params: buildMessageParams(item.model, item.prompt, item.maxTokens || 1024)
+        }))
+      }, { idempotent: false });
+    },
+
+    getBatch(batchId) {
+      return request('GET', `/messages/batches/${batchId}`);
+    },
+
+    // Results of an ended batch, keyed by custom ID:
+    // { [customId]: { message } } on success, { [customId]: { error: AnthropicApiError } } otherwise
+    async getBatchResults(batchId) {
+      const jsonl = await request('GET', `/messages/batches/${batchId}/results`, null, { responseType: 'text' });
+      const results = {};
+
+      jsonl.split('\n').filter(line => line.trim()).forEach(line => {
+        const { custom_id: customId, result } = JSON.parse(line);
+        if (result.type === 'succeeded') {
+          results[customId] = { message: toMessageResult(result.message) };
+        } else {
+          const error = result.error?.error || result.error || {};
+          results[customId] = {
+            error: new AnthropicApiError(error.message || `Request ${result.type}`, null, error.type || result.type)
+          };
+        }
+      });
+
+      return results;
+    }
+  };
+}
+
+// Remaining quota from the anthropic-ratelimit-* headers; resets are epoch milliseconds, missing values null
+function parseRateLimits(headers) {
+  const number = name => {
+    const value = headers.get(name);
+    return value === null || value === '' || isNaN(Number(value)) ? null : Number(value);
+  };
+  const time = name => {
+    const value = headers.get(name);
+    const parsed = value ? Date.parse(value) : NaN;
+    return isNaN(parsed) ? null : parsed;
+  };
+
+  return {
+    requestsRemaining: number('anthropic-ratelimit-requests-remaining'),
+    requestsReset: time('anthropic-ratelimit-requests-reset'),
+    inputTokensRemaining: number('anthropic-ratelimit-input-tokens-remaining'),
+    inputTokensReset: time('anthropic-ratelimit-input-tokens-reset'),
+    outputTokensRemaining: number('anthropic-ratelimit-output-tokens-remaining'),
+    outputTokensReset: time('anthropic-ratelimit-output-tokens-reset'),
+    retryAfter: number('retry-after')
+  };
+}
+
+// Concurrency limiter driven by rate-limit headers: halves on a 429, steps down and pauses until
+// the reset time when quota runs low, and climbs back to maxConcurrency while there is headroom
+function createRateLimitThrottle(maxConcurrency) {
+  let limit = maxConcurrency;
+  let active = 0;
+  let resumeAt = 0;
+  const waiting = [];
+
+  function startWaiting() {
+    while (waiting.length > 0 && active < limit) {
+      active++;
+      waiting.shift()();
+    }
+  }
+
+  return {
+    get limit() {
+      return limit;
+    },
+
+    async acquire() {
+      await new Promise(resolve => {
+        waiting.push(resolve);
+        startWaiting();
+      });
+      const pause = resumeAt - Date.now();
+      if (pause > 0) {
+        await new Promise(resolve => setTimeout(resolve, pause));
+      }
+    },
+
+    release() {
+      active--;
+      startWaiting();
+    },
+
+    // Pass as the client's onRateLimit option
+    update(rateLimits) {
+      if (rateLimits.status === 429) {
+        limit = Math.max(1, Math.floor(limit / 2));
+        if (rateLimits.retryAfter !== null) {
+          resumeAt = Math.max(resumeAt, Date.now() + rateLimits.retryAfter * 1000);
+        }
+        return;
+      }
+
+      const requestsLow = rateLimits.requestsRemaining !== null && rateLimits.requestsRemaining <= limit;
+      const inputLow = rateLimits.inputTokensRemaining !== null && rateLimits.inputTokensRemaining < ANTHROPIC_TOKEN_HEADROOM;
+      const outputLow = rateLimits.outputTokensRemaining !== null && rateLimits.outputTokensRemaining < ANTHROPIC_TOKEN_HEADROOM;
+
+      if (requestsLow || inputLow || outputLow) {
+        limit = Math.max(1, limit - 1);
+        const resets = [
+          requestsLow && rateLimits.requestsReset,
+          inputLow && rateLimits.inputTokensReset,
+          outputLow && rateLimits.outputTokensReset
+        ].filter(Boolean);
+        if (resets.length > 0 && (rateLimits.requestsRemaining === 0 || inputLow || outputLow)) {
+          resumeAt = Math.max(resumeAt, ...resets);
+        }
+      } else if (limit < maxConcurrency) {
+        limit++;
+        startWaiting();
+      }
+    }
+  };
+}
+
+function buildMessageParams(model, prompt, maxTokens) {
+  return {
+    model,
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content: prompt }]
+  };
+}
+
+function toMessageResult(data, model = null) {
+  return {
+    text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+    model: data.model || model,
+    usage: {
+      inputTokens: data.usage?.input_tokens || 0,
+      outputTokens: data.usage?.output_tokens || 0
+    },
+    stopReason: data.stop_reason
+  };
+}
+
+// Add up token usage across summaries
+function sumUsage(items) {
+  return items.reduce((total, item) => ({
+    inputTokens: total.inputTokens + (item.usage?.inputTokens || 0),
+    outputTokens: total.outputTokens + (item.usage?.outputTokens || 0)
+  }), { inputTokens: 0, outputTokens: 0 });
+}
@@ -0,0 +1,79 @@
+// Attachment store - IndexedDB store of captured attachment bytes for queued export jobs
+// Loaded by the background worker (importScripts); jobs in chrome.storage keep only the key
+// Record shape: { key, jobId, data } where key is jobId:turnIndex:attachmentIndex and data a data URL
+
+const ATTACHMENT_STORE_DB = 'claudeNotionExporterAttachments';
+const ATTACHMENT_STORE = 'attachments';
+const ATTACHMENT_STORE_VERSION = 1;
+
+let attachmentStoreDb = null;
+
+function openAttachmentStore() {
+  if (attachmentStoreDb) return attachmentStoreDb;
+
+  attachmentStoreDb = new Promise((resolve, reject) => {
+    const request = indexedDB.open(ATTACHMENT_STORE_DB, ATTACHMENT_STORE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ATTACHMENT_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      attachmentStoreDb = null;
+      reject(request.error);
+    };
+  });
+  return attachmentStoreDb;
+}
+
+// Run requests against the store in one transaction and resolve with the returned request's result
+async function withAttachmentStore(mode, operation) {
+  const db = await openAttachmentStore();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ATTACHMENT_STORE, mode);
+    const request = operation(transaction.objectStore(ATTACHMENT_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Move the data URLs of a job's attachments into the store; returns the turns with each
+// data URL replaced by its record's key (dataKey)
+async function storeJobAttachments(jobId, turns) {
+  const records = [];
+  const stripped = (turns || []).map((turn, turnIndex) => {
+    if (!turn.attachments || !turn.attachments.some(attachment => attachment.data)) return turn;
+
+    return {
+      ...turn,
+      attachments: turn.attachments.map((attachment, attachmentIndex) => {
+        if (!attachment.data) return attachment;
+        const { data, ...rest } = attachment;
+        const key = `${jobId}:${turnIndex}:${attachmentIndex}`;
+        records.push({ key, jobId, data });
+        return { ...rest, dataKey: key };
+      })
+    };
+  });
+
+  if (records.length > 0) {
+    await withAttachmentStore('readwrite', store => {
+      records.forEach(record => store.put(record));
+      return null;
+    });
+  }
+  return stripped;
+}
+
+// The attachment's data URL, from the store when the job only kept its key; null when gone
+async function loadAttachmentData(attachment) {
+  if (attachment.data) return attachment.data;
+  if (!attachment.dataKey) return null;
+
+  const record = await withAttachmentStore('readonly', store => store.get(attachment.dataKey));
+  return record ? record.data : null;
+}
+
+// Keys start with the job ID, so one key range covers every attachment of the job
+async function deleteJobAttachments(jobId) {
+  await withAttachmentStore('readwrite', store => store.delete(IDBKeyRange.bound(`${jobId}:`, `${jobId}:\uffff`)));
+}
@@ -0,0 +1,78 @@
+// Conversation overview - executive summary, key decisions and topics across every turn
+// Built from short per-turn digests so long conversations fit in one prompt
+
+const CONVERSATION_SUMMARY_PROMPT = `You are writing an overview of a whole conversation between a user and an AI assistant.
+Below is a digest of every turn: its number, a headline and a short summary.
+
+Provide:
+1. An executive summary of the whole conversation (one paragraph, 3-6 sentences)
+2. The key decisions or conclusions reached, each stated as a single sentence
+3. The main topics discussed, each as a short phrase
+
+Format your response as JSON:
+{
+  "executiveSummary": "...",
+  "keyDecisions": ["..."],
+  "topics": ["..."]
+}
+
+Conversation: {TITLE}
+
+{DIGEST}`;
+
+// Per-turn summary text is trimmed so the digest of a 100-turn chat stays small
+const TURN_DIGEST_SUMMARY_LIMIT = 400;
+
+// Compact record of a summarized turn, kept in export history so updates can rebuild the overview
+function buildTurnDigest(summary) {
+  return {
+    turnNumber: summary.turnNumber,
+    title: summary.oneLine,
+    summary: (summary.paragraph || '').substring(0, TURN_DIGEST_SUMMARY_LIMIT)
+  };
+}
+
+// Digest for turns exported before digests were recorded: the start of the user message
+function buildFallbackTurnDigest(turn) {
+  return {
+    turnNumber: turn.turnNumber,
+    title: (turn.user || '').replace(/\s+/g, ' ').trim().substring(0, 150) || `Turn ${turn.turnNumber}`,
+    summary: ''
+  };
+}
+
+function buildConversationSummaryPrompt(title, turnDigests) {
+  const digest = turnDigests
+    .map(turn => `Turn ${turn.turnNumber}: ${turn.title}${turn.summary ? `\n${turn.summary}` : ''}`)
+    .join('\n\n');
+
+  const values = { '{TITLE}': title || 'Untitled', '{DIGEST}': digest };
+  return CONVERSATION_SUMMARY_PROMPT.replace(/\{TITLE\}|\{DIGEST\}/g, match => values[match]);
+}
+
+// Returns { executiveSummary, keyDecisions, topics }
+function parseConversationSummary(content) {
+  let data = null;
+  try {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      data = JSON.parse(jsonMatch[0]);
+    }
+  } catch (parseError) {
+    data = null;
+  }
+
+  if (!data) {
+    return { executiveSummary: content.trim(), keyDecisions: [], topics: [] };
+  }
+
+  const toList = value => (Array.isArray(value) ? value : value ? [value] : [])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  return {
+    executiveSummary: data.executiveSummary ? String(data.executiveSummary).trim() : '',
+    keyDecisions: toList(data.keyDecisions),
+    topics: toList(data.topics)
+  };
+}
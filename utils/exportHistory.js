@@ -0,0 +1,97 @@
+// Export history - one entry per exported conversation, keyed by its normalized conversation URL
+// Shared by the background worker (importScripts), the popup and the history dashboard (<script>)
+
+// Exports not updated or checked for this long are due for a check for changes. History only
+// knows when the conversation was last compared, not whether it has changed since
+const EXPORT_CHECK_DUE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The tab URL can carry a query string or fragment, while the sidebar links to the bare
+// conversation; both become https://claude.ai/chat/<uuid>
+function normalizeConversationUrl(conversationUrl) {
+  try {
+    const url = new URL(conversationUrl);
+    const match = url.pathname.match(/\/chat\/([0-9a-f-]{36})/i);
+    return match ? `${url.origin}/chat/${match[1].toLowerCase()}` : `${url.origin}${url.pathname}`;
+  } catch (error) {
+    return conversationUrl;
+  }
+}
+
+async function getAllExportHistory() {
+  const { exportHistory } = await chrome.storage.local.get(['exportHistory']);
+  return exportHistory || {};
+}
+
+// Key of the conversation's entry, including entries stored under an unnormalized URL
+function findExportHistoryKey(history, conversationUrl) {
+  const normalized = normalizeConversationUrl(conversationUrl);
+  if (history[normalized]) return normalized;
+  return Object.keys(history).find(key => normalizeConversationUrl(key) === normalized) || null;
+}
+
+async function getExportHistory(conversationUrl) {
+  const history = await getAllExportHistory();
+  const key = findExportHistoryKey(history, conversationUrl);
+  return key ? history[key] : null;
+}
+
+async function storeExportHistory(conversationUrl, exportData) {
+  const history = await getAllExportHistory();
+  const oldKey = findExportHistoryKey(history, conversationUrl);
+  if (oldKey) delete history[oldKey];
+  history[normalizeConversationUrl(conversationUrl)] = exportData;
+  await chrome.storage.local.set({ exportHistory: history });
+  console.log('Stored export history for:', conversationUrl);
+}
+
+// Forget exports; the Notion blocks are left as they are
+async function deleteExportHistory(conversationUrls) {
+  const history = await getAllExportHistory();
+  conversationUrls.forEach(url => {
+    const key = findExportHistoryKey(history, url);
+    if (key) delete history[key];
+  });
+  await chrome.storage.local.set({ exportHistory: history });
+}
+
+// Record that the conversation was compared with Notion and had nothing new
+async function markExportChecked(conversationUrl) {
+  const history = await getAllExportHistory();
+  const key = findExportHistoryKey(history, conversationUrl);
+  if (!key) return;
+  history[key].checkedAt = new Date().toISOString();
+  await chrome.storage.local.set({ exportHistory: history });
+}
+
+// { due, days } since the entry was last exported or found up to date
+function getExportCheckStatus(exportData) {
+  const lastSeen = Math.max(
+    new Date(exportData.exportedAt).getTime(),
+    exportData.checkedAt ? new Date(exportData.checkedAt).getTime() : 0
+  );
+  const days = Math.floor((Date.now() - lastSeen) / DAY_MS);
+  return { due: days >= EXPORT_CHECK_DUE_DAYS, days };
+}
+
+// "5 minutes ago", "2 days ago", then the date after a week
+function getTimeAgo(isoString) {
+  const date = new Date(isoString);
+  const seconds = Math.floor((Date.now() - date) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} minute${Math.floor(seconds / 60) > 1 ? 's' : ''} ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} hour${Math.floor(seconds / 3600) > 1 ? 's' : ''} ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)} day${Math.floor(seconds / 86400) > 1 ? 's' : ''} ago`;
+
+  return date.toLocaleDateString();
+}
+
+// Link to the exported toggle (page exports), or the conversation's own page or row page
+function getExportNotionUrl(exportData) {
+  if (!exportData.notionPageId) return null;
+  const pageUrl = `https://www.notion.so/${exportData.notionPageId.replace(/-/g, '')}`;
+  return exportData.destination === 'database' || exportData.destination === 'childPage' || !exportData.parentBlockId
+    ? pageUrl
+    : `${pageUrl}#${exportData.parentBlockId.replace(/-/g, '')}`;
+}
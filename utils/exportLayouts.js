@@ -0,0 +1,39 @@
+// Notion layouts - how the turns of a conversation are laid out in Notion
+// Shared by the background worker (importScripts) and extension pages (<script>)
+// The layout is recorded in export history so updates add turns in the same format
+
+const NOTION_LAYOUTS = [
+  {
+    id: 'toggles',
+    name: 'Toggles',
+    description: 'One toggle per turn holding its summary, artifacts and source text'
+  },
+  {
+    id: 'headings',
+    name: 'Headings with callouts',
+    description: 'A heading per turn with the summary in a callout and the source text in a toggle'
+  },
+  {
+    id: 'transcript',
+    name: 'Q&A transcript',
+    description: 'The full question and answer of each turn under its heading'
+  },
+  {
+    id: 'summary',
+    name: 'Summary only',
+    description: 'A heading and summary per turn, without source text or artifacts'
+  },
+  {
+    id: 'columns',
+    name: 'Two columns',
+    description: 'The summary beside the source text of each turn'
+  }
+];
+
+// Exports from before layouts existed used toggles
+const DEFAULT_NOTION_LAYOUT_ID = 'toggles';
+
+function getNotionLayout(layoutId) {
+  return NOTION_LAYOUTS.find(layout => layout.id === layoutId) ||
+    NOTION_LAYOUTS.find(layout => layout.id === DEFAULT_NOTION_LAYOUT_ID);
+}
@@ -0,0 +1,130 @@
+// Export job queue - persisted in chrome.storage so exports survive service worker restarts
+// Job shape: { id, status: 'queued' | 'running' | 'waiting' | 'done' | 'error', data, lensId, summaries,
+//   batch: { id, model, requestCounts, submittedAt, endedAt } | null,
+//   verification: { parentMissing, missingTurns, introBlockId } | null (updates only),
+//   notion: { parentBlockId, notionPageId, turnsWritten, pendingBlockIds, turnBlocks, oldBlocksArchived,
+//     overviewBlockId },
+//   error, createdAt, updatedAt, finishedAt }
+// A 'waiting' job is parked on a Message Batch; polling puts it back in the queue once the batch ends
+// Attachments in data.turns carry a dataKey into utils/attachmentStore.js instead of their bytes
+
+const EXPORT_QUEUE_ALARM = 'exportQueue';
+
+// Finished jobs kept so the popup can still read their outcome
+const FINISHED_EXPORT_JOB_LIMIT = 10;
+
+// Storage updates are chained so checkpoints and new jobs never overwrite each other
+let exportJobsLock = Promise.resolve();
+
+function withExportJobs(mutate) {
+  const run = exportJobsLock.then(async () => {
+    const { exportJobs } = await chrome.storage.local.get(['exportJobs']);
+    const jobs = exportJobs || [];
+    const result = await mutate(jobs);
+    await chrome.storage.local.set({ exportJobs: jobs });
+    return result;
+  });
+  exportJobsLock = run.catch(() => {});
+  return run;
+}
+
+async function getExportJobs() {
+  const { exportJobs } = await chrome.storage.local.get(['exportJobs']);
+  return exportJobs || [];
+}
+
+function isPendingExportJob(job) {
+  return job.status === 'queued' || job.status === 'running' || job.status === 'waiting';
+}
+
+// Credentials are not persisted with the job; they are read from storage when it runs
+// The conversation URL is normalized (utils/exportHistory.js) so it matches export history
+async function enqueueExportJob(exportData) {
+  const { apiKey, notionToken, ...fields } = exportData;
+  const data = { ...fields, conversationUrl: normalizeConversationUrl(fields.conversationUrl) };
+
+  return withExportJobs(async jobs => {
+    const duplicate = jobs.find(job =>
+      isPendingExportJob(job) && job.data.conversationUrl === data.conversationUrl
+    );
+    if (duplicate) {
+      throw new Error('This conversation is already queued for export');
+    }
+
+    // Attachment bytes live in the attachment store; rewriting them with every checkpoint would be slow
+    const id = `job-${crypto.randomUUID()}`;
+    const turns = await storeJobAttachments(id, data.turns);
+
+    const now = Date.now();
+    const job = {
+      id,
+      status: 'queued',
+      data: { ...data, turns },
+      lensId: null,
+      summaries: [],
+      batch: null,
+      verification: null,
+      notion: {
+        parentBlockId: null,
+        notionPageId: null,
+        turnsWritten: 0,
+        pendingBlockIds: [],
+        turnBlocks: {},
+        oldBlocksArchived: false,
+        overviewBlockId: null
+      },
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    jobs.push(job);
+
+    return { job, position: jobs.filter(isPendingExportJob).length - 1 };
+  });
+}
+
+// Merge a checkpoint into the stored job and return the updated copy
+async function updateExportJob(id, changes) {
+  return withExportJobs(jobs => {
+    const job = jobs.find(existing => existing.id === id);
+    if (!job) {
+      throw new Error('Export job not found');
+    }
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    return job;
+  });
+}
+
+// Interrupted (running) jobs resume before queued ones start
+async function getNextExportJob() {
+  const jobs = await getExportJobs();
+  return jobs.find(job => job.status === 'running') ||
+         jobs.find(job => job.status === 'queued') ||
+         null;
+}
+
+// Drop the bulky conversation data and checkpoints once a job is done
+async function finishExportJob(id, status, error = null) {
+  return withExportJobs(jobs => {
+    const job = jobs.find(existing => existing.id === id);
+    if (!job) return;
+
+    const now = Date.now();
+    Object.assign(job, {
+      status,
+      error,
+      data: { conversationUrl: job.data.conversationUrl, chatTitle: job.data.chatTitle },
+      summaries: [],
+      updatedAt: now,
+      finishedAt: now
+    });
+
+    const finished = jobs.filter(existing => !isPendingExportJob(existing));
+    finished
+      .sort((a, b) => b.finishedAt - a.finishedAt)
+      .slice(FINISHED_EXPORT_JOB_LIMIT)
+      .forEach(stale => jobs.splice(jobs.indexOf(stale), 1));
+  }).then(() => deleteJobAttachments(id).catch(error => {
+    console.warn('Could not delete export job attachments:', error);
+  }));
+}
@@ -0,0 +1,26 @@
+// Export content settings - optional parts of a conversation that go into exports
+// Shared by the background worker (importScripts) and the settings page (<script>)
+
+// Thinking, web searches and tool calls are exported unless turned off
+async function getExportContentSettings() {
+  const { includeProcessSections } = await chrome.storage.local.get(['includeProcessSections']);
+  return { includeProcessSections: includeProcessSections !== false };
+}
+
+async function saveExportContentSettings(includeProcessSections) {
+  await chrome.storage.local.set({ includeProcessSections: !!includeProcessSections });
+}
+
+// The turn's thinking, searches, tool calls and cited sources, emptied when they are excluded
+// Citation links inside the answer text are kept either way
+function getTurnProcess(turn, includeProcessSections) {
+  if (!includeProcessSections) {
+    return { thinking: [], searches: [], toolCalls: [], citations: [] };
+  }
+  return {
+    thinking: turn.thinking || [],
+    searches: turn.searches || [],
+    toolCalls: turn.toolCalls || [],
+    citations: turn.citations || []
+  };
+}
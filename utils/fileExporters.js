@@ -0,0 +1,490 @@
+// Local file exporters - Markdown, JSON and self-contained HTML
+// Each builder takes the same conversation object:
+// { title, url, exportedAt, lens: { id, name } | null, model, source, turns: [{ turnNumber, summary, user, assistant,
+//   userNodes, assistantNodes, artifacts, attachments, thinking, searches, toolCalls, citations, timestamps,
+//   branch, messageIds }] }
+// where summary is { title, sections, model } or null; timestamps, branch and message IDs are only
+// known for turns read from the conversation JSON (source 'api')
+// Attachments are { name, kind, mimeType, size, fileId, extractedContent, url }; their bytes are left out
+// so exported files stay small
+
+const FILE_EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', label: 'Markdown' },
+  json: { extension: 'json', mimeType: 'application/json', label: 'JSON' },
+  html: { extension: 'html', mimeType: 'text/html', label: 'HTML' }
+};
+
+function buildFileExport(format, conversation) {
+  switch (format) {
+    case 'markdown':
+      return buildMarkdownExport(conversation);
+    case 'json':
+      return buildJsonExport(conversation);
+    case 'html':
+      return buildHtmlExport(conversation);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// Safe file name from the conversation title plus the export date
+function buildExportFilename(title, format, exportedAt) {
+  const base = (title || 'Claude Conversation')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 80) || 'Claude Conversation';
+  const date = exportedAt.substring(0, 10);
+  return `${base} (${date}).${FILE_EXPORT_FORMATS[format].extension}`;
+}
+
+function buildMarkdownExport(conversation) {
+  const lines = [];
+
+  lines.push(`# ${conversation.title}`);
+  lines.push('');
+  lines.push(`- **Source:** ${conversation.url}`);
+  lines.push(`- **Exported:** ${conversation.exportedAt}`);
+  lines.push(`- **Turns:** ${conversation.turns.length}`);
+  if (conversation.lens) {
+    lines.push(`- **Lens:** ${conversation.lens.name}`);
+  }
+  if (conversation.model) {
+    lines.push(`- **Model:** ${conversation.model}`);
+  }
+
+  conversation.turns.forEach(turn => {
+    lines.push('');
+    lines.push('---');
+    lines.push('');
+    lines.push(`## Turn ${turn.turnNumber}${turn.summary ? `: ${turn.summary.title}` : ''}`);
+
+    if (turn.summary) {
+      turn.summary.sections.forEach(section => {
+        if (!section.value || section.value.length === 0) return;
+        lines.push('');
+        lines.push(`**${section.label}**`);
+        lines.push('');
+        if (section.type === 'list') {
+          section.value.forEach(item => lines.push(`- ${item}`));
+        } else {
+          lines.push(section.value);
+        }
+      });
+    }
+
+    lines.push('');
+    lines.push('### User');
+    lines.push('');
+    const userMeta = describeMessageMeta(turn, 'user');
+    if (userMeta) {
+      lines.push(`_${userMeta}_`);
+      lines.push('');
+    }
+    (turn.attachments || []).forEach(attachment => lines.push(`- Attachment: ${describeAttachment(attachment)}`));
+    if (turn.attachments && turn.attachments.length > 0) lines.push('');
+    lines.push(turn.user);
+    lines.push(...processToMarkdown(turn));
+    lines.push('');
+    lines.push('### Assistant');
+    lines.push('');
+    const assistantMeta = describeMessageMeta(turn, 'assistant');
+    if (assistantMeta) {
+      lines.push(`_${assistantMeta}_`);
+      lines.push('');
+    }
+    lines.push(turn.assistant);
+
+    (turn.artifacts || []).forEach(artifact => {
+      lines.push('');
+      lines.push(`### Artifact: ${artifact.title}`);
+      lines.push('');
+      if (!artifact.content) {
+        lines.push('_Artifact content could not be captured._');
+      } else if (artifact.kind === 'document') {
+        lines.push(artifact.content);
+      } else {
+        const fence = artifact.content.includes('```') ? '~~~~' : '```';
+        lines.push(fence + (artifact.language || ''));
+        lines.push(artifact.content);
+        lines.push(fence);
+      }
+    });
+  });
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+// Thinking, searches and tool calls between the user message and the answer, as Markdown lines
+function processToMarkdown(turn) {
+  const lines = [];
+  const fenced = (text, language) => {
+    const fence = text.includes('```') ? '~~~~' : '```';
+    return [fence + language, text, fence];
+  };
+
+  if (turn.thinking && turn.thinking.length > 0) {
+    lines.push('', '### Thinking', '');
+    lines.push(turn.thinking.join('\n\n').split('\n').map(line => `> ${line}`).join('\n'));
+  }
+
+  if ((turn.searches && turn.searches.length > 0) || (turn.citations && turn.citations.length > 0)) {
+    lines.push('', '### Searches & Sources', '');
+    (turn.searches || []).forEach(search => {
+      lines.push(`- Search: ${search.query || 'Web search'}`);
+      search.sources.forEach(source => lines.push(`  - [${source.title}](${source.url})`));
+    });
+    if (turn.citations && turn.citations.length > 0) {
+      lines.push('', '**Cited in the response**', '');
+      turn.citations.forEach((source, i) => lines.push(`${i + 1}. [${source.title}](${source.url})`));
+    }
+  }
+
+  if (turn.toolCalls && turn.toolCalls.length > 0) {
+    lines.push('', '### Tool calls');
+    turn.toolCalls.forEach(call => {
+      lines.push('', `**${call.name}**${call.isError ? ' (failed)' : ''}`);
+      if (call.input) lines.push('', ...fenced(call.input, 'json'));
+      if (call.output) lines.push('', ...fenced(call.output, ''));
+    });
+  }
+
+  return lines;
+}
+
+function buildJsonExport(conversation) {
+  const data = {
+    format: 'claude-to-notion-exporter',
+    version: 1,
+    title: conversation.title,
+    url: conversation.url,
+    exportedAt: conversation.exportedAt,
+    lens: conversation.lens,
+    model: conversation.model || null,
+    source: conversation.source || null,
+    turnCount: conversation.turns.length,
+    turns: conversation.turns.map(turn => ({
+      turnNumber: turn.turnNumber,
+      summary: turn.summary,
+      user: buildJsonMessage(turn, 'user'),
+      assistant: buildJsonMessage(turn, 'assistant'),
+      artifacts: turn.artifacts || [],
+      attachments: turn.attachments || [],
+      thinking: turn.thinking || [],
+      searches: turn.searches || [],
+      toolCalls: turn.toolCalls || [],
+      citations: turn.citations || []
+    }))
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+// Markdown, nodes and, for conversation JSON turns, message ID, time and branch position
+function buildJsonMessage(turn, role) {
+  const message = { markdown: turn[role], nodes: turn[`${role}Nodes`] || null };
+  if (turn.messageIds) {
+    message.id = turn.messageIds[role];
+    message.createdAt = turn.timestamps[role];
+    message.branch = turn.branch[role];
+  }
+  return message;
+}
+
+// "2024-05-01 14:03 · version 2 of 3", or '' when nothing is known about the message
+function describeMessageMeta(turn, role) {
+  const parts = [];
+  const createdAt = turn.timestamps && turn.timestamps[role];
+  if (createdAt) {
+    parts.push(createdAt.substring(0, 16).replace('T', ' '));
+  }
+  const branch = turn.branch && turn.branch[role];
+  if (branch && branch.count > 1) {
+    parts.push(`version ${branch.index} of ${branch.count}`);
+  }
+  return parts.join(' · ');
+}
+
+// Collapsed sections for thinking, searches and tool calls
+function processToHtml(turn) {
+  const sections = [];
+  const sourceLink = source => `<a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a>`;
+
+  if (turn.thinking && turn.thinking.length > 0) {
+    sections.push(`<details class="process"><summary>Thinking</summary>${turn.thinking
+      .map(text => `<div class="plain">${escapeHtml(text)}</div>`).join('')}</details>`);
+  }
+
+  if ((turn.searches && turn.searches.length > 0) || (turn.citations && turn.citations.length > 0)) {
+    const searches = (turn.searches || []).map(search => `<p>Search: ${escapeHtml(search.query || 'Web search')}</p>
+        <ul>${search.sources.map(source => `<li>${sourceLink(source)}</li>`).join('')}</ul>`).join('');
+    const citations = turn.citations && turn.citations.length > 0
+      ? `<p><strong>Cited in the response</strong></p><ol>${turn.citations.map(source => `<li>${sourceLink(source)}</li>`).join('')}</ol>`
+      : '';
+    sections.push(`<details class="process"><summary>Searches &amp; Sources</summary>${searches}${citations}</details>`);
+  }
+
+  if (turn.toolCalls && turn.toolCalls.length > 0) {
+    sections.push(`<details class="process"><summary>Tool calls</summary>${turn.toolCalls.map(call => `
+        <p><strong>${escapeHtml(call.name)}</strong>${call.isError ? ' (failed)' : ''}</p>
+        ${call.input ? `<pre><code>${escapeHtml(call.input)}</code></pre>` : ''}
+        ${call.output ? `<pre><code>${escapeHtml(call.output)}</code></pre>` : ''}`).join('')}</details>`);
+  }
+
+  return sections.join('\n');
+}
+
+// Attachments link to their copy on claude.ai when the page exposed one
+function attachmentToHtml(attachment) {
+  const description = escapeHtml(describeAttachment(attachment));
+  if (attachment.url) {
+    return `<li><a href="${escapeHtml(attachment.url)}">${description}</a></li>`;
+  }
+  return `<li>${description}</li>`;
+}
+
+// "notes.pdf (document, 120 KB)"
+function describeAttachment(attachment) {
+  const details = [attachment.kind];
+  if (attachment.size) {
+    details.push(attachment.size >= 1024 * 1024
+      ? `${(attachment.size / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(attachment.size / 1024))} KB`);
+  }
+  return `${attachment.name} (${details.join(', ')})`;
+}
+
+function buildHtmlExport(conversation) {
+  const turnsHtml = conversation.turns.map(turn => {
+    const summaryHtml = turn.summary
+      ? turn.summary.sections.map(section => {
+          if (!section.value || section.value.length === 0) return '';
+          const body = section.type === 'list'
+            ? `<ul>${section.value.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+            : `<p>${escapeHtml(section.value)}</p>`;
+          return `<div class="summary-section"><h4>${escapeHtml(section.label)}</h4>${body}</div>`;
+        }).join('')
+      : '';
+
+    const artifactsHtml = (turn.artifacts || []).map(artifact => `
+      <details class="artifact">
+        <summary>Artifact: ${escapeHtml(artifact.title)}</summary>
+        ${artifact.content
+          ? `<pre><code>${escapeHtml(artifact.content)}</code></pre>`
+          : '<p><em>Artifact content could not be captured.</em></p>'}
+      </details>`).join('');
+
+    return `
+    <section class="turn" id="turn-${turn.turnNumber}">
+      <h2>Turn ${turn.turnNumber}${turn.summary ? `: ${escapeHtml(turn.summary.title)}` : ''}</h2>
+      ${summaryHtml}
+      <div class="message user">
+        <div class="role">User${describeMessageMeta(turn, 'user') ? ` · ${escapeHtml(describeMessageMeta(turn, 'user'))}` : ''}</div>
+        ${(turn.attachments || []).length > 0
+          ? `<ul class="attachments">${turn.attachments.map(attachmentToHtml).join('')}</ul>`
+          : ''}
+        ${nodesToHtml(turn.userNodes && turn.userNodes.length > 0 ? turn.userNodes : markdownToNodes(turn.user))}
+      </div>
+      ${processToHtml(turn)}
+      <div class="message assistant">
+        <div class="role">Assistant${describeMessageMeta(turn, 'assistant') ? ` · ${escapeHtml(describeMessageMeta(turn, 'assistant'))}` : ''}</div>
+        ${nodesToHtml(turn.assistantNodes && turn.assistantNodes.length > 0 ? turn.assistantNodes : markdownToNodes(turn.assistant))}
+      </div>
+      ${artifactsHtml}
+    </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(conversation.title)}</title>
+  <style>
+    body { max-width: 860px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; line-height: 1.55; }
+    h1 { font-size: 26px; margin-bottom: 8px; }
+    .meta { color: #666; font-size: 13px; margin-bottom: 32px; }
+    .meta a { color: #2563eb; }
+    .turn { border-top: 1px solid #e0e0e0; padding-top: 20px; margin-top: 28px; }
+    .turn h2 { font-size: 18px; }
+    .summary-section h4 { margin: 12px 0 4px; font-size: 13px; text-transform: uppercase; letter-spacing: 0.5px; color: #64748b; }
+    .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; }
+    .message.user { background: #f1f5f9; }
+    .message.assistant { background: #fff; border: 1px solid #e2e8f0; }
+    .role { font-size: 12px; font-weight: 600; color: #64748b; margin-bottom: 6px; }
+    .plain { white-space: pre-wrap; }
+    .attachments { font-size: 13px; color: #475569; margin: 0 0 8px; }
+    pre { background: #0f172a; color: #e2e8f0; padding: 12px; border-radius: 6px; overflow-x: auto; font-size: 13px; }
+    code { font-family: 'SFMono-Regular', Menlo, Consolas, monospace; }
+    :not(pre) > code { background: #f1f5f9; padding: 1px 4px; border-radius: 3px; }
+    table { border-collapse: collapse; margin: 12px 0; }
+    th, td { border: 1px solid #cbd5e1; padding: 6px 10px; text-align: left; }
+    blockquote { border-left: 3px solid #cbd5e1; margin: 12px 0; padding-left: 12px; color: #475569; }
+    .math { font-family: 'Times New Roman', serif; }
+    details.artifact { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 12px; margin: 12px 0; }
+    details.artifact summary { cursor: pointer; font-weight: 600; }
+    details.process { border-left: 3px solid #cbd5e1; padding: 4px 12px; margin: 12px 0; color: #475569; }
+    details.process summary { cursor: pointer; font-weight: 600; }
+    img { max-width: 100%; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(conversation.title)}</h1>
+  <div class="meta">
+    Exported ${escapeHtml(conversation.exportedAt)} • ${conversation.turns.length} turns
+    ${conversation.lens ? `• Lens: ${escapeHtml(conversation.lens.name)}` : ''}
+    ${conversation.model ? `• Model: ${escapeHtml(conversation.model)}` : ''}
+    • <a href="${escapeHtml(conversation.url)}">View original</a>
+  </div>
+  ${turnsHtml}
+</body>
+</html>
+`;
+}
+
+// Render the content.js node tree as HTML
+function nodesToHtml(nodes) {
+  return (nodes || []).map(node => {
+    switch (node.type) {
+      case 'paragraph':
+        return `<p>${inlineNodesToHtml(node.children)}</p>`;
+      case 'heading': {
+        // Turns use <h2>, so message headings start one level below
+        const level = Math.min(node.level + 2, 6);
+        return `<h${level}>${inlineNodesToHtml(node.children)}</h${level}>`;
+      }
+      case 'code':
+        return `<pre><code${node.language ? ` class="language-${escapeHtml(node.language)}"` : ''}>${escapeHtml(node.text)}</code></pre>`;
+      case 'list': {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const items = node.items.map(item => {
+          const checkbox = item.checked === null || item.checked === undefined
+            ? ''
+            : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+          return `<li>${checkbox}${nodesToHtml(item.children)}</li>`;
+        }).join('');
+        return `<${tag}>${items}</${tag}>`;
+      }
+      case 'table': {
+        const rows = node.rows.map((row, index) => {
+          const cellTag = node.hasHeader && index === 0 ? 'th' : 'td';
+          return `<tr>${row.map(cell => `<${cellTag}>${inlineNodesToHtml(cell)}</${cellTag}>`).join('')}</tr>`;
+        }).join('');
+        return `<table>${rows}</table>`;
+      }
+      case 'quote':
+        return `<blockquote>${nodesToHtml(node.children)}</blockquote>`;
+      case 'math':
+        return `<div class="math">${escapeHtml(node.expression)}</div>`;
+      case 'image':
+        return `<img src="${escapeHtml(node.src)}" alt="${escapeHtml(node.alt)}">`;
+      case 'divider':
+        return '<hr>';
+      case 'artifact':
+        return `<p><em>Artifact: ${escapeHtml(node.title)}</em></p>`;
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+// Turns read from the conversation JSON have Markdown but no node tree; parse the
+// Markdown with the Notion converter and map its blocks back onto the node types
+function markdownToNodes(markdown) {
+  return notionBlocksToNodes(markdownToNotionBlocks(markdown));
+}
+
+// Consecutive list item blocks form one list
+function notionBlocksToNodes(blocks) {
+  const nodes = [];
+  for (const block of blocks || []) {
+    const node = notionBlockToNode(block);
+    const last = nodes[nodes.length - 1];
+    if (node.type === 'list' && last && last.type === 'list' && last.ordered === node.ordered) {
+      last.items.push(...node.items);
+    } else {
+      nodes.push(node);
+    }
+  }
+  return nodes;
+}
+
+function notionBlockToNode(block) {
+  const content = block[block.type];
+  switch (block.type) {
+    case 'paragraph':
+      return { type: 'paragraph', children: richTextToInlineNodes(content.rich_text) };
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3':
+      return { type: 'heading', level: Number(block.type.slice(-1)), children: richTextToInlineNodes(content.rich_text) };
+    case 'code':
+      return {
+        type: 'code',
+        language: content.language === 'plain text' ? '' : content.language,
+        text: content.rich_text.map(item => item.text.content).join('')
+      };
+    case 'bulleted_list_item':
+    case 'numbered_list_item':
+    case 'to_do':
+      return {
+        type: 'list',
+        ordered: block.type === 'numbered_list_item',
+        items: [{
+          checked: block.type === 'to_do' ? content.checked : null,
+          children: [
+            { type: 'paragraph', children: richTextToInlineNodes(content.rich_text) },
+            ...notionBlocksToNodes(content.children)
+          ]
+        }]
+      };
+    case 'quote':
+      return { type: 'quote', children: [{ type: 'paragraph', children: richTextToInlineNodes(content.rich_text) }] };
+    case 'table':
+      return {
+        type: 'table',
+        hasHeader: content.has_column_header,
+        rows: content.children.map(row => row.table_row.cells.map(richTextToInlineNodes))
+      };
+    case 'divider':
+      return { type: 'divider' };
+    case 'callout':
+      // Only artifact placeholders become callouts: "Artifact: " then the title
+      return { type: 'artifact', title: content.rich_text.slice(1).map(item => item.text.content).join('') };
+    default:
+      return { type: 'paragraph', children: [] };
+  }
+}
+
+function richTextToInlineNodes(richText) {
+  return (richText || []).map(item => ({
+    text: item.text.content,
+    marks: item.annotations || {},
+    href: item.text.link ? item.text.link.url : null
+  }));
+}
+
+function inlineNodesToHtml(nodes) {
+  return (nodes || []).map(node => {
+    if (node.type === 'math') return `<span class="math">${escapeHtml(node.expression)}</span>`;
+    if (node.type === 'image') return `<img src="${escapeHtml(node.src)}" alt="${escapeHtml(node.alt)}">`;
+
+    let html = escapeHtml(node.text).replace(/\n/g, '<br>');
+    const marks = node.marks || {};
+    if (marks.code) html = `<code>${html}</code>`;
+    if (marks.bold) html = `<strong>${html}</strong>`;
+    if (marks.italic) html = `<em>${html}</em>`;
+    if (marks.strikethrough) html = `<s>${html}</s>`;
+    if (node.href) html = `<a href="${escapeHtml(node.href)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,380 @@
+// Lens manager - named summarization prompts with their own output schema
+// Shared by the background worker (importScripts) and extension pages (<script>)
+
+const DEFAULT_LENS_ID = 'built-in-general';
+
+// Field types a lens schema may declare
+// text: a string rendered as a paragraph
+// list: an array of strings rendered as bulleted items
+const LENS_FIELD_TYPES = ['text', 'list'];
+
+const BUILT_IN_LENSES = [
+  {
+    id: 'built-in-general',
+    name: 'General Summary',
+    prompt: `You are summarizing a conversation turn between a user and an AI assistant. Provide two summaries:
+
+1. A one-sentence summary (max 150 characters)
+2. A one-paragraph summary (3-5 sentences)
+
+Format your response as JSON:
+{OUTPUT_FORMAT}
+
+Conversation turn to summarize:
+User: {USER_CONTENT}
+
+Assistant: {ASSISTANT_CONTENT}`,
+    titleField: 'oneLine',
+    fields: [
+      { key: 'oneLine', label: 'One-line summary', type: 'text' },
+      { key: 'paragraph', label: 'Summary', type: 'text' }
+    ]
+  },
+  {
+    id: 'built-in-decisions',
+    name: 'Decisions Made',
+    prompt: `You are reviewing a conversation turn between a user and an AI assistant and extracting the decisions that were made.
+
+Provide:
+1. A one-sentence headline (max 150 characters) naming the most important decision, or the topic if nothing was decided
+2. The list of decisions that were made, each stated as a single sentence
+3. A short paragraph (2-3 sentences) with the reasoning behind them
+
+Format your response as JSON:
+{OUTPUT_FORMAT}
+
+Conversation turn:
+User: {USER_CONTENT}
+
+Assistant: {ASSISTANT_CONTENT}`,
+    titleField: 'headline',
+    fields: [
+      { key: 'headline', label: 'Headline', type: 'text' },
+      { key: 'decisions', label: 'Decisions', type: 'list' },
+      { key: 'rationale', label: 'Rationale', type: 'text' }
+    ]
+  },
+  {
+    id: 'built-in-action-items',
+    name: 'Action Items',
+    prompt: `You are extracting action items and next steps from a conversation turn between a user and an AI assistant.
+
+Provide:
+1. A one-sentence headline (max 150 characters) of the main action or next step
+2. The list of concrete action items, each starting with a verb and including an owner or deadline when mentioned
+3. The list of follow-ups that depend on something else happening first
+
+Format your response as JSON:
+{OUTPUT_FORMAT}
+
+Conversation turn:
+User: {USER_CONTENT}
+
+Assistant: {ASSISTANT_CONTENT}`,
+    titleField: 'headline',
+    fields: [
+      { key: 'headline', label: 'Headline', type: 'text' },
+      { key: 'actionItems', label: 'Action Items', type: 'list' },
+      { key: 'followUps', label: 'Follow-ups', type: 'list' }
+    ]
+  },
+  {
+    id: 'built-in-code-changes',
+    name: 'Code Changes',
+    prompt: `You are summarizing the code changes discussed in a conversation turn between a user and an AI assistant.
+
+Provide:
+1. A one-sentence headline (max 150 characters) describing the change
+2. The list of files, functions or components that were added, changed or removed
+3. A short paragraph (2-4 sentences) describing what the change does and why
+
+Format your response as JSON:
+{OUTPUT_FORMAT}
+
+Conversation turn:
+User: {USER_CONTENT}
+
+Assistant: {ASSISTANT_CONTENT}`,
+    titleField: 'headline',
+    fields: [
+      { key: 'headline', label: 'Headline', type: 'text' },
+      { key: 'changes', label: 'Changes', type: 'list' },
+      { key: 'description', label: 'Description', type: 'text' }
+    ]
+  },
+  {
+    id: 'built-in-open-questions',
+    name: 'Open Questions',
+    prompt: `You are extracting the questions left unresolved by a conversation turn between a user and an AI assistant.
+
+Provide:
+1. A one-sentence headline (max 150 characters) of the topic under discussion
+2. The list of open questions, risks or unknowns that still need an answer
+3. The list of assumptions the assistant made that should be verified
+
+Format your response as JSON:
+{OUTPUT_FORMAT}
+
+Conversation turn:
+User: {USER_CONTENT}
+
+Assistant: {ASSISTANT_CONTENT}`,
+    titleField: 'headline',
+    fields: [
+      { key: 'headline', label: 'Headline', type: 'text' },
+      { key: 'questions', label: 'Open Questions', type: 'list' },
+      { key: 'assumptions', label: 'Assumptions', type: 'list' }
+    ]
+  }
+];
+
+// Set up built-in lenses on first run and add any built-ins shipped since
+async function initializeDefaultLenses() {
+  const result = await chrome.storage.local.get(['lenses']);
+  const lenses = result.lenses || [];
+  const now = Date.now();
+  let changed = false;
+
+  for (const builtIn of BUILT_IN_LENSES) {
+    if (!lenses.some(lens => lens.id === builtIn.id)) {
+      lenses.push({
+        ...builtIn,
+        isDefault: false,
+        isBuiltIn: true,
+        createdAt: now,
+        updatedAt: now
+      });
+      changed = true;
+    }
+  }
+
+  // Make sure exactly one lens is the default
+  if (!lenses.some(lens => lens.isDefault)) {
+    const general = lenses.find(lens => lens.id === DEFAULT_LENS_ID) || lenses[0];
+    general.isDefault = true;
+    changed = true;
+  }
+
+  if (changed) {
+    await chrome.storage.local.set({ lenses });
+  }
+
+  return lenses;
+}
+
+async function getLenses() {
+  const result = await chrome.storage.local.get(['lenses']);
+  if (!result.lenses || result.lenses.length === 0) {
+    return initializeDefaultLenses();
+  }
+  return result.lenses;
+}
+
+async function getLens(id) {
+  const lenses = await getLenses();
+  return lenses.find(lens => lens.id === id) || null;
+}
+
+async function getDefaultLens() {
+  const lenses = await getLenses();
+  return lenses.find(lens => lens.isDefault) || lenses[0];
+}
+
+// Resolve a lens by ID, falling back to the default when it was deleted
+async function resolveLens(id) {
+  if (id) {
+    const lens = await getLens(id);
+    if (lens) return lens;
+    console.warn(`Lens ${id} not found, using default lens`);
+  }
+  return getDefaultLens();
+}
+
+async function saveLens(lens) {
+  const errors = validateLens(lens);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  const lenses = await getLenses();
+  const now = Date.now();
+  const index = lenses.findIndex(existing => existing.id === lens.id);
+
+  if (index === -1) {
+    const newLens = {
+      ...lens,
+      id: lens.id || generateLensId(),
+      isDefault: false,
+      isBuiltIn: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    lenses.push(newLens);
+    await chrome.storage.local.set({ lenses });
+    return newLens;
+  }
+
+  lenses[index] = {
+    ...lenses[index],
+    name: lens.name,
+    prompt: lens.prompt,
+    titleField: lens.titleField,
+    fields: lens.fields,
+    updatedAt: now
+  };
+  await chrome.storage.local.set({ lenses });
+  return lenses[index];
+}
+
+async function deleteLens(id) {
+  const lenses = await getLenses();
+  const lens = lenses.find(existing => existing.id === id);
+
+  if (!lens) {
+    throw new Error('Lens not found');
+  }
+  if (lens.isBuiltIn) {
+    throw new Error('Built-in lenses cannot be deleted');
+  }
+
+  const remaining = lenses.filter(existing => existing.id !== id);
+  if (lens.isDefault) {
+    const general = remaining.find(existing => existing.id === DEFAULT_LENS_ID) || remaining[0];
+    general.isDefault = true;
+  }
+
+  await chrome.storage.local.set({ lenses: remaining });
+
+  // Forget the popup selection if it pointed at the deleted lens
+  const { selectedLensId } = await chrome.storage.local.get(['selectedLensId']);
+  if (selectedLensId === id) {
+    await chrome.storage.local.remove(['selectedLensId']);
+  }
+}
+
+async function setDefaultLens(id) {
+  const lenses = await getLenses();
+  if (!lenses.some(lens => lens.id === id)) {
+    throw new Error('Lens not found');
+  }
+  lenses.forEach(lens => {
+    lens.isDefault = lens.id === id;
+  });
+  await chrome.storage.local.set({ lenses });
+}
+
+// Returns a list of human-readable problems; empty when the lens is valid
+function validateLens(lens) {
+  const errors = [];
+
+  if (!lens.name || !lens.name.trim()) {
+    errors.push('Lens name is required');
+  }
+  if (!lens.prompt || !lens.prompt.trim()) {
+    errors.push('Lens prompt is required');
+  } else if (!lens.prompt.includes('{USER_CONTENT}') || !lens.prompt.includes('{ASSISTANT_CONTENT}')) {
+    errors.push('Prompt must include {USER_CONTENT} and {ASSISTANT_CONTENT}');
+  }
+
+  const fields = lens.fields || [];
+  if (fields.length === 0) {
+    errors.push('Lens needs at least one output field');
+  }
+
+  const seenKeys = new Set();
+  for (const field of fields) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field.key || '')) {
+      errors.push(`Invalid field key "${field.key || ''}" (use letters, digits and underscores)`);
+    } else if (seenKeys.has(field.key)) {
+      errors.push(`Duplicate field key "${field.key}"`);
+    }
+    seenKeys.add(field.key);
+
+    if (!LENS_FIELD_TYPES.includes(field.type)) {
+      errors.push(`Invalid type for field "${field.key}"`);
+    }
+  }
+
+  const titleField = fields.find(field => field.key === lens.titleField);
+  if (!titleField) {
+    errors.push('Title field must be one of the output fields');
+  } else if (titleField.type !== 'text') {
+    errors.push('Title field must be a text field');
+  }
+
+  return errors;
+}
+
+function generateLensId() {
+  return `lens-${crypto.randomUUID()}`;
+}
+
+// JSON skeleton describing the lens output schema, substituted for {OUTPUT_FORMAT}
+function buildOutputFormat(lens) {
+  const skeleton = {};
+  for (const field of lens.fields) {
+    skeleton[field.key] = field.type === 'list' ? ['...'] : '...';
+  }
+  return JSON.stringify(skeleton, null, 2);
+}
+
+function buildLensPrompt(lens, user, assistant) {
+  let prompt = lens.prompt;
+
+  // Lenses written without {OUTPUT_FORMAT} still get the schema appended
+  if (!prompt.includes('{OUTPUT_FORMAT}')) {
+    prompt += '\n\nFormat your response as JSON:\n{OUTPUT_FORMAT}';
+  }
+
+  // Single pass so placeholder-like text inside the conversation is left alone
+  // (a function replacement also keeps "$&"-style sequences literal)
+  const values = {
+    '{OUTPUT_FORMAT}': buildOutputFormat(lens),
+    '{USER_CONTENT}': user,
+    '{ASSISTANT_CONTENT}': assistant
+  };
+  return prompt.replace(/\{OUTPUT_FORMAT\}|\{USER_CONTENT\}|\{ASSISTANT_CONTENT\}/g, match => values[match]);
+}
+
+// Map the model's JSON reply onto the lens schema
+// Returns { title, sections: [{ key, label, type, value }] }
+function parseLensResponse(lens, content) {
+  let data = null;
+  try {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      data = JSON.parse(jsonMatch[0]);
+    }
+  } catch (parseError) {
+    data = null;
+  }
+
+  if (!data) {
+    // Fallback: first sentence as title, full content as the first text field
+    const sentences = content.split(/[.!?]+/).filter(s => s.trim());
+    const bodyField = lens.fields.find(field => field.key !== lens.titleField && field.type === 'text');
+    return {
+      title: sentences[0]?.trim() || content.substring(0, 150),
+      sections: bodyField
+        ? [{ key: bodyField.key, label: bodyField.label, type: 'text', value: content.trim() }]
+        : []
+    };
+  }
+
+  const sections = [];
+  for (const field of lens.fields) {
+    if (field.key === lens.titleField) continue;
+
+    let value = data[field.key];
+    if (field.type === 'list') {
+      if (typeof value === 'string') value = [value];
+      value = Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : [];
+    } else {
+      value = value == null ? '' : String(value).trim();
+    }
+    sections.push({ key: field.key, label: field.label, type: field.type, value });
+  }
+
+  const title = data[lens.titleField] ? String(data[lens.titleField]).trim() : '';
+  return { title, sections };
+}
@@ -0,0 +1,638 @@
+// Markdown to Notion block conversion
+// Turns Claude's Markdown output (or the node tree extracted by content.js)
+// into native Notion blocks with annotated rich_text
+
+// Notion API limits
+const NOTION_RICH_TEXT_LIMIT = 2000;      // characters per rich_text segment
+const NOTION_RICH_TEXT_MAX_ITEMS = 100;   // rich_text segments per block
+const NOTION_TABLE_MAX_ROWS = 100;        // rows per table create request
+const NOTION_URL_LIMIT = 2000;            // characters per link or image URL
+const NOTION_EQUATION_LIMIT = 1000;       // characters per equation expression
+
+// Languages accepted by Notion code blocks
+const NOTION_CODE_LANGUAGES = new Set([
+  'abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart',
+  'diff', 'docker', 'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go',
+  'graphql', 'groovy', 'haskell', 'html', 'java', 'javascript', 'json', 'julia', 'kotlin', 'latex',
+  'less', 'lisp', 'livescript', 'lua', 'makefile', 'markdown', 'markup', 'matlab', 'mermaid', 'nix',
+  'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text', 'powershell', 'prolog', 'protobuf',
+  'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss', 'shell', 'sql',
+  'swift', 'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml',
+  'java/c/c++/c#'
+]);
+
+// Common fence labels that differ from Notion's language names
+const CODE_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  golang: 'go',
+  sh: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  shellscript: 'shell',
+  ps1: 'powershell',
+  yml: 'yaml',
+  md: 'markdown',
+  htm: 'html',
+  svg: 'xml',
+  cpp: 'c++',
+  cc: 'c++',
+  hpp: 'c++',
+  h: 'c',
+  cs: 'c#',
+  csharp: 'c#',
+  fsharp: 'f#',
+  objc: 'objective-c',
+  kt: 'kotlin',
+  dockerfile: 'docker',
+  tex: 'latex',
+  text: 'plain text',
+  txt: 'plain text',
+  plaintext: 'plain text',
+  gql: 'graphql',
+  proto: 'protobuf',
+  vb: 'visual basic'
+};
+
+function normalizeCodeLanguage(language) {
+  const name = (language || '').trim().toLowerCase();
+  if (!name) return 'plain text';
+  const resolved = CODE_LANGUAGE_ALIASES[name] || name;
+  return NOTION_CODE_LANGUAGES.has(resolved) ? resolved : 'plain text';
+}
+
+// Placeholder content.js leaves in a message's Markdown where an artifact was created
+const ARTIFACT_PLACEHOLDER_PATTERN = /^\[Artifact: (.+)\]$/;
+
+// Convert a Markdown string into an array of Notion block objects
+// artifacts: the turn's artifacts, so their placeholders become references linked through
+// artifactLinks (artifact ID to the URL of the block holding it), as for the node tree
+function markdownToNotionBlocks(markdown, artifactLinks = {}, artifacts = []) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Blank line
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    // Artifact placeholder, matched to the turn's artifacts by title
+    const placeholder = trimmed.match(ARTIFACT_PLACEHOLDER_PATTERN);
+    if (placeholder) {
+      const artifact = artifacts.find(candidate => candidate.title === placeholder[1]);
+      blocks.push(artifactReferenceBlock(
+        { title: placeholder[1], artifactId: artifact ? artifact.id : null },
+        artifact ? artifactLinks[artifact.id] : null
+      ));
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = trimmed.match(/^(`{3,}|~{3,})\s*([^\s`]*)/);
+    if (fence) {
+      const marker = fence[1];
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      blocks.push(...codeBlocks(codeLines.join('\n'), fence[2]));
+      continue;
+    }
+
+    // Heading (Notion has three levels)
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const level = Math.min(heading[1].length, 3);
+      blocks.push(...richTextBlocks(`heading_${level}`, parseInlineMarkdown(heading[2])));
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      blocks.push({ object: 'block', type: 'divider', divider: {} });
+      i++;
+      continue;
+    }
+
+    // Block quote
+    if (trimmed.startsWith('>')) {
+      const quoteLines = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push(...richTextBlocks('quote', parseInlineMarkdown(quoteLines.join('\n'))));
+      continue;
+    }
+
+    // Table: header row followed by a separator row
+    if (trimmed.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      const rows = [splitTableRow(lines[i])];
+      i += 2;
+      while (i < lines.length && lines[i].trim().includes('|')) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push(...tableBlocks(rows.map(row => row.map(cell => parseInlineMarkdown(cell))), true));
+      continue;
+    }
+
+    // List (bulleted, numbered or task items)
+    if (parseListItem(line)) {
+      const result = parseList(lines, i);
+      blocks.push(...result.blocks);
+      i = result.next;
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block starts
+    const paragraphLines = [];
+    while (i < lines.length && lines[i].trim() && !startsNewBlock(lines, i)) {
+      paragraphLines.push(lines[i].trim());
+      i++;
+    }
+    if (paragraphLines.length === 0) {
+      // Defensive: never loop on a line no rule consumed
+      paragraphLines.push(trimmed);
+      i++;
+    }
+    blocks.push(...richTextBlocks('paragraph', parseInlineMarkdown(paragraphLines.join('\n'))));
+  }
+
+  return blocks;
+}
+
+function startsNewBlock(lines, i) {
+  const trimmed = lines[i].trim();
+  return ARTIFACT_PLACEHOLDER_PATTERN.test(trimmed) ||
+         /^(`{3,}|~{3,})/.test(trimmed) ||
+         /^#{1,6}\s/.test(trimmed) ||
+         /^([-*_])(\s*\1){2,}$/.test(trimmed) ||
+         trimmed.startsWith('>') ||
+         (trimmed.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) ||
+         parseListItem(lines[i]) !== null;
+}
+
+function parseListItem(line) {
+  const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+  if (!match) return null;
+
+  const item = {
+    indent: match[1].replace(/\t/g, '    ').length,
+    type: /\d/.test(match[2]) ? 'numbered_list_item' : 'bulleted_list_item',
+    text: match[3],
+    checked: null
+  };
+
+  const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+  if (task && item.type === 'bulleted_list_item') {
+    item.type = 'to_do';
+    item.checked = task[1] !== ' ';
+    item.text = task[2];
+  }
+
+  return item;
+}
+
+// Items nest by indentation to any depth; the block-tree writer splits deep lists
+// into as many append requests as Notion needs
+function parseList(lines, start) {
+  const blocks = [];
+  // Open items from the outermost to the innermost, with their indentation
+  const stack = [];
+  let current = null;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = parseListItem(line);
+
+    if (item) {
+      const block = listItemBlock(item);
+      while (stack.length > 0 && stack[stack.length - 1].indent >= item.indent) {
+        stack.pop();
+      }
+      if (stack.length > 0) {
+        const parent = stack[stack.length - 1].block;
+        parent[parent.type].children = parent[parent.type].children || [];
+        parent[parent.type].children.push(block);
+      } else {
+        blocks.push(block);
+        current = block;
+      }
+      stack.push({ indent: item.indent, block });
+      i++;
+      continue;
+    }
+
+    // Indented continuation line belongs to the previous item
+    if (line.trim() && /^\s{2,}/.test(line) && current && !startsNewBlock(lines, i)) {
+      const target = lastListBlock(current);
+      target[target.type].rich_text.push(...parseInlineMarkdown('\n' + line.trim()));
+      fitRichText(target);
+      i++;
+      continue;
+    }
+
+    // A blank line only ends the list when the next line is not another item
+    if (!line.trim() && i + 1 < lines.length && parseListItem(lines[i + 1])) {
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  return { blocks, next: i };
+}
+
+function lastListBlock(block) {
+  const children = block[block.type].children;
+  return children && children.length > 0 ? lastListBlock(children[children.length - 1]) : block;
+}
+
+function listItemBlock(item) {
+  const content = { rich_text: parseInlineMarkdown(item.text) };
+  if (item.type === 'to_do') {
+    content.checked = item.checked;
+  }
+  return fitRichText({ object: 'block', type: item.type, [item.type]: content });
+}
+
+// Keep the first segments a block allows in its rich_text and continue the rest in
+// paragraphs placed before any children it already has
+function fitRichText(block) {
+  const content = block[block.type];
+  const segments = splitRichText(content.rich_text);
+  content.rich_text = segments.slice(0, NOTION_RICH_TEXT_MAX_ITEMS);
+  if (segments.length > NOTION_RICH_TEXT_MAX_ITEMS) {
+    content.children = [
+      ...richTextBlocks('paragraph', segments.slice(NOTION_RICH_TEXT_MAX_ITEMS)),
+      ...(content.children || [])
+    ];
+  }
+  return block;
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  // Split on unescaped pipes
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Rows are arrays of rich_text cells; tables longer than one create request
+// are split, repeating the header row. Cells cannot hold other blocks, so text past
+// a cell's segment limit continues in labelled paragraphs after its table
+function tableBlocks(rows, hasColumnHeader) {
+  if (rows.length === 0) return [];
+  const width = Math.max(1, ...rows.map(row => row.length));
+  const header = hasColumnHeader ? [rows[0]] : [];
+  const body = hasColumnHeader ? rows.slice(1) : rows;
+  const bodyChunkSize = NOTION_TABLE_MAX_ROWS - header.length;
+  const blocks = [];
+
+  for (let start = 0; start === 0 || start < body.length; start += bodyChunkSize) {
+    const rowNumbers = [
+      ...header.map(() => 1),
+      ...body.slice(start, start + bodyChunkSize).map((row, index) => header.length + start + index + 1)
+    ];
+    const overflow = [];
+    blocks.push({
+      object: 'block',
+      type: 'table',
+      table: {
+        table_width: width,
+        has_column_header: hasColumnHeader,
+        has_row_header: false,
+        children: rowNumbers.map(rowNumber => tableRowBlock(rows[rowNumber - 1], width, rowNumber, overflow))
+      }
+    });
+    overflow.forEach(richText => blocks.push(...richTextBlocks('paragraph', richText)));
+  }
+
+  return blocks;
+}
+
+// Segments past the cell limit are added to overflow, led by the cell's position
+function tableRowBlock(row, width, rowNumber, overflow) {
+  const cells = [];
+  for (let i = 0; i < width; i++) {
+    const segments = splitRichText(row[i] || []);
+    cells.push(segments.slice(0, NOTION_RICH_TEXT_MAX_ITEMS));
+    if (segments.length > NOTION_RICH_TEXT_MAX_ITEMS) {
+      overflow.push([
+        { type: 'text', text: { content: `Row ${rowNumber}, column ${i + 1} (continued): ` }, annotations: { bold: true } },
+        ...segments.slice(NOTION_RICH_TEXT_MAX_ITEMS)
+      ]);
+    }
+  }
+  return { object: 'block', type: 'table_row', table_row: { cells } };
+}
+
+// Code longer than one block allows is continued in further code blocks
+function codeBlocks(code, language) {
+  const segments = splitRichText([{ type: 'text', text: { content: code } }]);
+  const blocks = [];
+
+  for (let start = 0; start === 0 || start < segments.length; start += NOTION_RICH_TEXT_MAX_ITEMS) {
+    blocks.push({
+      object: 'block',
+      type: 'code',
+      code: {
+        rich_text: segments.slice(start, start + NOTION_RICH_TEXT_MAX_ITEMS),
+        language: normalizeCodeLanguage(language)
+      }
+    });
+  }
+
+  return blocks;
+}
+
+// Build one or more blocks of a rich-text type, respecting per-block segment limits
+function richTextBlocks(type, richText) {
+  const segments = splitRichText(richText);
+  const blocks = [];
+
+  for (let start = 0; start === 0 || start < segments.length; start += NOTION_RICH_TEXT_MAX_ITEMS) {
+    blocks.push({
+      object: 'block',
+      type,
+      [type]: { rich_text: segments.slice(start, start + NOTION_RICH_TEXT_MAX_ITEMS) }
+    });
+  }
+
+  return blocks;
+}
+
+// Split any rich_text segment longer than Notion's per-segment character limit
+function splitRichText(richText) {
+  const result = [];
+
+  richText.forEach(item => {
+    if (item.type !== 'text') {
+      result.push(item);
+      return;
+    }
+    const content = item.text.content;
+    if (content.length <= NOTION_RICH_TEXT_LIMIT) {
+      result.push(item);
+      return;
+    }
+    for (let start = 0; start < content.length; start += NOTION_RICH_TEXT_LIMIT) {
+      result.push({
+        ...item,
+        text: { ...item.text, content: content.substring(start, start + NOTION_RICH_TEXT_LIMIT) }
+      });
+    }
+  });
+
+  return result;
+}
+
+// Inline Markdown: `code`, [links](url), bare URLs, **bold**, __bold__, *italic*, _italic_, ~~strike~~
+const INLINE_PATTERN = new RegExp([
+  '(`+)([\\s\\S]+?)\\1',                                     // 1-2: code span
+  '\\[([^\\]]+)\\]\\(\\s*<?([^)\\s>]+)>?(?:\\s+"[^"]*")?\\s*\\)', // 3-4: link
+  '<(https?:\\/\\/[^\\s>]+)>',                                // 5: autolink
+  '(https?:\\/\\/[^\\s<>()]*[^\\s<>().,;:!?\'"])',           // 6: bare URL
+  '\\*\\*([\\s\\S]+?)\\*\\*',                                 // 7: bold
+  '__([\\s\\S]+?)__',                                         // 8: bold
+  '~~([\\s\\S]+?)~~',                                         // 9: strikethrough
+  '\\*(?!\\s)([^*]+?)\\*',                                    // 10: italic
+  '(?<![A-Za-z0-9_])_(?!\\s)([^_]+?)_(?![A-Za-z0-9_])'         // 11: italic
+].join('|'), 'g');
+
+function parseInlineMarkdown(text, annotations = {}, link = null) {
+  const richText = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (content, extraAnnotations = {}, linkUrl = link) => {
+    if (!content) return;
+    const item = { type: 'text', text: { content } };
+    if (linkUrl) item.text.link = { url: linkUrl };
+    const merged = { ...annotations, ...extraAnnotations };
+    if (Object.keys(merged).length > 0) item.annotations = merged;
+    richText.push(item);
+  };
+
+  while ((match = pattern.exec(text)) !== null) {
+    pushText(text.substring(lastIndex, match.index));
+    lastIndex = pattern.lastIndex;
+
+    if (match[2] !== undefined) {
+      pushText(match[2], { code: true });
+    } else if (match[3] !== undefined) {
+      const url = isNotionUrl(match[4]) ? match[4] : link;
+      richText.push(...parseInlineMarkdown(match[3], annotations, url));
+    } else if (match[5] !== undefined || match[6] !== undefined) {
+      const url = match[5] || match[6];
+      pushText(url, {}, link || (isNotionUrl(url) ? url : null));
+    } else if (match[7] !== undefined || match[8] !== undefined) {
+      richText.push(...parseInlineMarkdown(match[7] || match[8], { ...annotations, bold: true }, link));
+    } else if (match[9] !== undefined) {
+      richText.push(...parseInlineMarkdown(match[9], { ...annotations, strikethrough: true }, link));
+    } else {
+      richText.push(...parseInlineMarkdown(match[10] || match[11], { ...annotations, italic: true }, link));
+    }
+  }
+
+  pushText(text.substring(lastIndex));
+  return richText;
+}
+
+// Convert the typed node tree produced by content.js into Notion blocks
+// artifactLinks maps artifact IDs to the URL of the block holding that artifact
+function nodesToNotionBlocks(nodes, artifactLinks = {}) {
+  const blocks = [];
+
+  (nodes || []).forEach(node => {
+    switch (node.type) {
+      case 'paragraph':
+        blocks.push(...richTextBlocks('paragraph', inlineNodesToRichText(node.children)));
+        break;
+      case 'heading':
+        blocks.push(...richTextBlocks(`heading_${Math.min(node.level, 3)}`, inlineNodesToRichText(node.children)));
+        break;
+      case 'code':
+        blocks.push(...codeBlocks(node.text, node.language));
+        break;
+      case 'list':
+        node.items.forEach(item => blocks.push(listItemNodeBlock(item, node.ordered, artifactLinks)));
+        break;
+      case 'table':
+        blocks.push(...tableBlocks(node.rows.map(row => row.map(inlineNodesToRichText)), node.hasHeader));
+        break;
+      case 'quote': {
+        // Quote text comes from its paragraphs; lists, code and the rest nest inside the quote
+        const paragraphs = node.children.filter(child => child.type === 'paragraph');
+        const richText = [];
+        paragraphs.forEach((child, index) => {
+          if (index > 0) richText.push({ type: 'text', text: { content: '\n' } });
+          richText.push(...inlineNodesToRichText(child.children));
+        });
+        const quoteBlocks = richTextBlocks('quote', richText);
+        const childBlocks = nodesToNotionBlocks(node.children.filter(child => child.type !== 'paragraph'), artifactLinks);
+        if (childBlocks.length > 0) {
+          const last = quoteBlocks[quoteBlocks.length - 1];
+          last.quote.children = childBlocks;
+        }
+        blocks.push(...quoteBlocks);
+        break;
+      }
+      case 'math':
+        // Expressions too long for an equation block keep their source as LaTeX code
+        if (node.expression.length > NOTION_EQUATION_LIMIT) {
+          blocks.push(...codeBlocks(node.expression, 'latex'));
+        } else {
+          blocks.push({ object: 'block', type: 'equation', equation: { expression: node.expression } });
+        }
+        break;
+      case 'image':
+        blocks.push(imageNodeBlock(node));
+        break;
+      case 'divider':
+        blocks.push({ object: 'block', type: 'divider', divider: {} });
+        break;
+      case 'artifact':
+        blocks.push(artifactReferenceBlock(node, artifactLinks[node.artifactId]));
+        break;
+    }
+  });
+
+  return blocks;
+}
+
+function listItemNodeBlock(item, ordered, artifactLinks) {
+  let type = ordered ? 'numbered_list_item' : 'bulleted_list_item';
+  if (item.checked !== null && item.checked !== undefined) type = 'to_do';
+
+  // The item's first paragraph is its text; the rest become children
+  const [first, ...rest] = item.children;
+  const leading = first && first.type === 'paragraph' ? first : null;
+  const remaining = leading ? rest : item.children;
+
+  const content = { rich_text: leading ? inlineNodesToRichText(leading.children) : [] };
+  if (type === 'to_do') content.checked = item.checked;
+
+  const childBlocks = nodesToNotionBlocks(remaining, artifactLinks);
+  if (childBlocks.length > 0) content.children = childBlocks;
+  return fitRichText({ object: 'block', type, [type]: content });
+}
+
+// Pointer from the message to the toggle holding the artifact
+function artifactReferenceBlock(node, url) {
+  const title = { type: 'text', text: { content: node.title.substring(0, NOTION_RICH_TEXT_LIMIT) } };
+  if (url) title.text.link = { url };
+  return {
+    object: 'block',
+    type: 'callout',
+    callout: {
+      icon: { type: 'emoji', emoji: '📎' },
+      rich_text: [
+        { type: 'text', text: { content: 'Artifact: ' }, annotations: { bold: true } },
+        title
+      ]
+    }
+  };
+}
+
+function imageNodeBlock(node) {
+  // Notion can only embed images from public http(s) URLs
+  if (isNotionUrl(node.src)) {
+    const image = { type: 'external', external: { url: node.src } };
+    if (node.alt) image.caption = [{ type: 'text', text: { content: node.alt.substring(0, NOTION_RICH_TEXT_LIMIT) } }];
+    return { object: 'block', type: 'image', image };
+  }
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [{ type: 'text', text: { content: `[Image${node.alt ? `: ${node.alt}` : ''}]` }, annotations: { italic: true } }]
+    }
+  };
+}
+
+function inlineNodesToRichText(nodes) {
+  const richText = [];
+
+  (nodes || []).forEach(node => {
+    if (node.type === 'math') {
+      if (node.expression.length > NOTION_EQUATION_LIMIT) {
+        richText.push({ type: 'text', text: { content: node.expression }, annotations: { code: true } });
+      } else {
+        richText.push({ type: 'equation', equation: { expression: node.expression } });
+      }
+      return;
+    }
+
+    if (node.type === 'image') {
+      const item = { type: 'text', text: { content: `[Image${node.alt ? `: ${node.alt}` : ''}]` } };
+      if (isNotionUrl(node.src)) item.text.link = { url: node.src };
+      richText.push(item);
+      return;
+    }
+
+    if (!node.text) return;
+    const item = { type: 'text', text: { content: node.text } };
+    if (isNotionUrl(node.href)) item.text.link = { url: node.href };
+
+    const annotations = {};
+    ['bold', 'italic', 'strikethrough', 'code'].forEach(mark => {
+      if (node.marks && node.marks[mark]) annotations[mark] = true;
+    });
+    if (Object.keys(annotations).length > 0) item.annotations = annotations;
+
+    richText.push(item);
+  });
+
+  return richText;
+}
+
+// Notion only accepts absolute http(s) link and image URLs up to its length limit;
+// other links are dropped and keep their text
+function isNotionUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url) && url.length <= NOTION_URL_LIMIT;
+}
@@ -0,0 +1,103 @@
+// Summary model settings - the user's default and fallback model, and the model last resolved from them
+// Shared by the background worker (importScripts) and the settings page (<script>)
+
+const DEFAULT_SUMMARY_MODEL = 'claude-sonnet-4-20250514';
+
+// How long the Models API listing is reused by the settings page
+const MODEL_LIST_CACHE_MS = 24 * 60 * 60 * 1000;
+
+// Conversations with at least this many new turns use the Message Batches API when enabled
+const DEFAULT_BATCH_THRESHOLD = 20;
+
+// Parallel summary requests; the pool lowers this on its own when rate limits run short
+const DEFAULT_SUMMARY_CONCURRENCY = 3;
+const MAX_SUMMARY_CONCURRENCY = 8;
+
+async function getModelSettings() {
+  const { summaryModel, fallbackModel } = await chrome.storage.local.get(['summaryModel', 'fallbackModel']);
+  return {
+    summaryModel: summaryModel || DEFAULT_SUMMARY_MODEL,
+    fallbackModel: fallbackModel || null
+  };
+}
+
+// Changing the models forgets the cached resolution
+async function saveModelSettings(summaryModel, fallbackModel) {
+  await chrome.storage.local.set({
+    summaryModel: summaryModel || DEFAULT_SUMMARY_MODEL,
+    fallbackModel: fallbackModel && fallbackModel !== summaryModel ? fallbackModel : null
+  });
+  await chrome.storage.local.remove(['resolvedSummaryModel']);
+}
+
+// Message Batches are half price but can take minutes to hours, so they are opt-in
+async function getBatchSettings() {
+  const { useMessageBatches, batchThreshold } = await chrome.storage.local.get(['useMessageBatches', 'batchThreshold']);
+  return {
+    useMessageBatches: !!useMessageBatches,
+    batchThreshold: batchThreshold || DEFAULT_BATCH_THRESHOLD
+  };
+}
+
+async function saveBatchSettings(useMessageBatches, batchThreshold) {
+  const threshold = parseInt(batchThreshold, 10);
+  await chrome.storage.local.set({
+    useMessageBatches: !!useMessageBatches,
+    batchThreshold: threshold > 0 ? threshold : DEFAULT_BATCH_THRESHOLD
+  });
+}
+
+async function shouldUseMessageBatch(turnCount) {
+  const { useMessageBatches, batchThreshold } = await getBatchSettings();
+  return useMessageBatches && turnCount >= batchThreshold;
+}
+
+async function getConcurrencySettings() {
+  const { summaryConcurrency } = await chrome.storage.local.get(['summaryConcurrency']);
+  return { summaryConcurrency: summaryConcurrency || DEFAULT_SUMMARY_CONCURRENCY };
+}
+
+async function saveConcurrencySettings(summaryConcurrency) {
+  const value = parseInt(summaryConcurrency, 10);
+  await chrome.storage.local.set({
+    summaryConcurrency: value > 0 ? Math.min(value, MAX_SUMMARY_CONCURRENCY) : DEFAULT_SUMMARY_CONCURRENCY
+  });
+}
+
+// Models to try in order: the cached resolution first, then the default, then the fallback
+async function getSummaryModelCandidates() {
+  const settings = await getModelSettings();
+  const { resolvedSummaryModel } = await chrome.storage.local.get(['resolvedSummaryModel']);
+  const configured = [settings.summaryModel, settings.fallbackModel].filter(Boolean);
+
+  const cached = resolvedSummaryModel &&
+    resolvedSummaryModel.summaryModel === settings.summaryModel &&
+    configured.includes(resolvedSummaryModel.model)
+      ? resolvedSummaryModel.model
+      : null;
+
+  return cached ? [cached, ...configured.filter(model => model !== cached)] : configured;
+}
+
+// Remember which configured model answered so later turns and exports skip unavailable ones
+async function cacheResolvedSummaryModel(model) {
+  const { summaryModel } = await getModelSettings();
+  const { resolvedSummaryModel } = await chrome.storage.local.get(['resolvedSummaryModel']);
+  if (resolvedSummaryModel?.model === model && resolvedSummaryModel.summaryModel === summaryModel) return;
+
+  await chrome.storage.local.set({
+    resolvedSummaryModel: { summaryModel, model, resolvedAt: Date.now() }
+  });
+}
+
+// Models API listing, cached in storage; pass forceRefresh to ignore the cache
+async function getAvailableModels(apiKey, forceRefresh = false) {
+  const { anthropicModels } = await chrome.storage.local.get(['anthropicModels']);
+  if (!forceRefresh && anthropicModels && Date.now() - anthropicModels.fetchedAt < MODEL_LIST_CACHE_MS) {
+    return anthropicModels.models;
+  }
+
+  const models = await createAnthropicClient(apiKey).listModels();
+  await chrome.storage.local.set({ anthropicModels: { models, fetchedAt: Date.now() } });
+  return models;
+}
@@ -0,0 +1,349 @@
+// Notion API client - one place for headers, rate limiting, retries, pagination and errors
+// Shared by the background worker (importScripts) and extension pages (<script>)
+
+const NOTION_API_BASE = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+
+// Notion allows an average of 3 requests per second per integration
+const NOTION_REQUEST_INTERVAL = 340;
+const NOTION_MAX_RETRIES = 4;
+const NOTION_RETRY_BASE_DELAY = 1000;
+
+// Most children a single append request accepts
+const NOTION_APPEND_BATCH_SIZE = 100;
+// Most blocks, nested children included, a single append request accepts
+const NOTION_REQUEST_BLOCK_LIMIT = 1000;
+
+// Error from the Notion API (or from reaching it)
+// status: HTTP status, 0 for network failures
+// code: Notion error code such as 'unauthorized', 'object_not_found', 'rate_limited', 'validation_error'
+class NotionApiError extends Error {
+  constructor(message, status, code, retryAfter = null) {
+    super(`Notion API Error: ${message}`);
+    this.name = 'NotionApiError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+
+  get isRetryable() {
+    return this.status === 0 || this.status === 409 || this.status === 429 || this.status >= 500;
+  }
+
+  // Requests that create content may have been applied when the response was lost or failed;
+  // only a rate-limited request is known to have been turned away before it ran
+  get isRetryableWrite() {
+    return this.status === 429;
+  }
+
+  get isAuthError() {
+    return this.status === 401 || this.code === 'unauthorized';
+  }
+
+  get isNotFound() {
+    return this.status === 404 || this.code === 'object_not_found';
+  }
+}
+
+// Requests from this context are spaced out to stay under the rate limit
+let notionNextRequestAt = 0;
+
+function waitForNotionSlot() {
+  const now = Date.now();
+  const startAt = Math.max(now, notionNextRequestAt);
+  notionNextRequestAt = startAt + NOTION_REQUEST_INTERVAL;
+  return new Promise(resolve => setTimeout(resolve, startAt - now));
+}
+
+function getBlockChildren(block) {
+  const content = block[block.type];
+  return (content && content.children) || [];
+}
+
+function withoutChildren(block) {
+  const content = { ...block[block.type] };
+  delete content.children;
+  return { ...block, [block.type]: content };
+}
+
+function countBlocks(blocks) {
+  return blocks.reduce((count, block) => count + 1 + countBlocks(getBlockChildren(block)), 0);
+}
+
+// Notion accepts two levels per append request: the appended blocks and their children.
+// A block keeps its children in the request when none of them has children of its own;
+// otherwise it is sent bare and its children are written under the ID the append returns
+// Column lists can't be created empty, so each column goes with its first block and the
+// rest of the column is written afterwards
+function splitBlockForAppend(block) {
+  const children = getBlockChildren(block);
+  if (block.type === 'column_list') {
+    return {
+      block: {
+        ...block,
+        column_list: {
+          children: children.map(column => ({
+            ...column,
+            column: { children: getBlockChildren(column).slice(0, 1).map(withoutChildren) }
+          }))
+        }
+      },
+      deferred: [],
+      columns: children.map(getBlockChildren)
+    };
+  }
+
+  const inline = children.length <= NOTION_APPEND_BATCH_SIZE &&
+    children.every(child => getBlockChildren(child).length === 0);
+  if (inline) {
+    return { block, deferred: [] };
+  }
+  return { block: withoutChildren(block), deferred: children };
+}
+
+function createNotionClient(token) {
+  // One request with rate limiting and retries; returns the parsed JSON body
+  // idempotent: false for requests that create content, so a failure that may have been
+  // applied is not sent again (it would create the content twice)
+  async function request(method, path, body = null, { idempotent = true } = {}) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= NOTION_MAX_RETRIES; attempt++) {
+      await waitForNotionSlot();
+
+      try {
+        return await send(method, path, body);
+      } catch (error) {
+        lastError = error;
+        const retryable = idempotent ? error.isRetryable : error.isRetryableWrite;
+        if (!retryable || attempt === NOTION_MAX_RETRIES) {
+          throw error;
+        }
+
+        // Honour Retry-After on 429, otherwise back off exponentially: 1s, 2s, 4s, 8s
+        const delay = error.retryAfter !== null
+          ? error.retryAfter * 1000
+          : NOTION_RETRY_BASE_DELAY * Math.pow(2, attempt);
+        console.log(`Notion ${method} ${path} failed (${error.status || error.code}), retry ${attempt + 1}/${NOTION_MAX_RETRIES} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  // FormData bodies (file uploads) are sent as multipart, with the boundary set by fetch
+  async function send(method, path, body) {
+    const isForm = body instanceof FormData;
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Notion-Version': NOTION_VERSION
+    };
+    if (body && !isForm) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${NOTION_API_BASE}${path}`, {
+        method,
+        headers,
+        body: body ? (isForm ? body : JSON.stringify(body)) : undefined
+      });
+    } catch (networkError) {
+      throw new NotionApiError(networkError.message || 'Network error', 0, 'network_error');
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const retryAfter = response.headers.get('Retry-After');
+      throw new NotionApiError(
+        errorData.message || response.statusText || `HTTP ${response.status}`,
+        response.status,
+        errorData.code || null,
+        retryAfter !== null && !isNaN(Number(retryAfter)) ? Number(retryAfter) : null
+      );
+    }
+
+    return response.json();
+  }
+
+  // Follow next_cursor until every result has been read
+  // GET endpoints take the cursor as a query parameter, POST endpoints (search, query) in the body
+  async function paginate(method, path, body = {}) {
+    const results = [];
+    let cursor;
+
+    do {
+      let response;
+      if (method === 'GET') {
+        const separator = path.includes('?') ? '&' : '?';
+        const query = `page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ''}`;
+        response = await request('GET', `${path}${separator}${query}`);
+      } else {
+        response = await request(method, path, { ...body, page_size: 100, ...(cursor ? { start_cursor: cursor } : {}) });
+      }
+      results.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : null;
+    } while (cursor);
+
+    return results;
+  }
+
+  // Write a block tree of any depth, splitting it into as many append requests as it needs
+  // and using the IDs each append returns instead of reading the blocks back
+  // Returns [{ id, children }] in input order; children is null when they were created
+  // inline (Notion does not return their IDs), otherwise the same shape one level down
+  // after: insert below this child instead of at the end
+  // onAppended(results): called after each request at this level, e.g. to checkpoint it
+  async function appendBlockTree(blockId, blocks, after = null, onAppended = null) {
+    const parts = blocks.map(splitBlockForAppend);
+    const created = [];
+    let previousId = after;
+    let start = 0;
+
+    while (start < parts.length) {
+      // Up to 100 blocks and 1000 blocks counting their inline children
+      let end = start;
+      let size = 0;
+      while (end < parts.length && end - start < NOTION_APPEND_BATCH_SIZE) {
+        const partSize = countBlocks([parts[end].block]);
+        if (end > start && size + partSize > NOTION_REQUEST_BLOCK_LIMIT) break;
+        size += partSize;
+        end++;
+      }
+
+      const response = await request('PATCH', `/blocks/${blockId}/children`, {
+        children: parts.slice(start, end).map(part => part.block),
+        ...(previousId ? { after: previousId } : {})
+      }, { idempotent: false });
+      if (onAppended) await onAppended(response.results);
+
+      for (let i = 0; i < response.results.length; i++) {
+        const { id } = response.results[i];
+        const { block, deferred, columns } = parts[start + i];
+        if (columns) {
+          created.push({ id, children: await fillColumns(id, columns) });
+        } else {
+          created.push({
+            id,
+            children: deferred.length > 0
+              ? await appendBlockTree(id, deferred)
+              : getBlockChildren(block).length > 0 ? null : []
+          });
+        }
+      }
+      // Later requests go below the previous one
+      if (previousId) previousId = response.results[response.results.length - 1].id;
+      start = end;
+    }
+
+    return created;
+  }
+
+  // Write the rest of each column of a new column list
+  // The append response only carries the IDs of the blocks appended at the top level, and a
+  // column list can't be appended without its columns, so the column IDs (and the first block
+  // of a column when that has children of its own) can only be read back from Notion
+  // Returns the columns as [{ id, children: null }], or null when nothing was left to write
+  async function fillColumns(columnListId, columns) {
+    if (columns.every(children => children.length <= 1 && countBlocks(children) <= 1)) {
+      return null;
+    }
+
+    // Notion allows far fewer columns than one page of children
+    const { results: columnBlocks } = await request('GET', `/blocks/${columnListId}/children?page_size=100`);
+    if (columnBlocks.length !== columns.length) {
+      throw new Error(`Column list ${columnListId} has ${columnBlocks.length} columns, expected ${columns.length}`);
+    }
+
+    const created = [];
+    for (let i = 0; i < columnBlocks.length; i++) {
+      const [first, ...rest] = columns[i];
+      const firstChildren = first ? getBlockChildren(first) : [];
+      if (firstChildren.length > 0) {
+        const { results: [firstBlock] } = await request('GET', `/blocks/${columnBlocks[i].id}/children?page_size=1`);
+        await appendBlockTree(firstBlock.id, firstChildren);
+      }
+      if (rest.length > 0) {
+        await appendBlockTree(columnBlocks[i].id, rest);
+      }
+      created.push({ id: columnBlocks[i].id, children: null });
+    }
+    return created;
+  }
+
+  return {
+    request,
+    paginate,
+    appendBlockTree,
+
+    search(query, objectType, pageSize = 20) {
+      return request('POST', '/search', {
+        query,
+        filter: { property: 'object', value: objectType },
+        page_size: pageSize
+      });
+    },
+
+    getDatabase(databaseId) {
+      return request('GET', `/databases/${databaseId}`);
+    },
+
+    createPage(page) {
+      return request('POST', '/pages', page, { idempotent: false });
+    },
+
+    updatePage(pageId, changes) {
+      return request('PATCH', `/pages/${pageId}`, changes);
+    },
+
+    listChildren(blockId) {
+      return paginate('GET', `/blocks/${blockId}/children`);
+    },
+
+    // Append in batches of 100; returns every created block in order
+    // after: insert below this child instead of at the end
+    async appendChildren(blockId, children, after = null) {
+      const created = [];
+      let previousId = after;
+      for (let start = 0; start < children.length; start += NOTION_APPEND_BATCH_SIZE) {
+        const response = await request('PATCH', `/blocks/${blockId}/children`, {
+          children: children.slice(start, start + NOTION_APPEND_BATCH_SIZE),
+          ...(previousId ? { after: previousId } : {})
+        }, { idempotent: false });
+        created.push(...response.results);
+        // Later batches go below the previous one
+        if (previousId) previousId = response.results[response.results.length - 1].id;
+      }
+      return created;
+    },
+
+    getBlock(blockId) {
+      return request('GET', `/blocks/${blockId}`);
+    },
+
+    // First child of a block, or null when it has none
+    async getFirstChild(blockId) {
+      const response = await request('GET', `/blocks/${blockId}/children?page_size=1`);
+      return response.results[0] || null;
+    },
+
+    deleteBlock(blockId) {
+      return request('DELETE', `/blocks/${blockId}`);
+    },
+
+    // Upload a file (up to 20 MB) in a single part; returns the file upload object
+    // Its ID can be used once in a file, image or pdf block within an hour
+    async uploadFile(blob, filename) {
+      const upload = await request('POST', '/file_uploads', {
+        mode: 'single_part',
+        filename,
+        content_type: blob.type || 'application/octet-stream'
+      });
+      const form = new FormData();
+      form.append('file', blob, filename);
+      return request('POST', `/file_uploads/${upload.id}/send`, form);
+    }
+  };
+}
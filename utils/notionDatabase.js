@@ -0,0 +1,124 @@
+// Notion database target - export fields, property mapping and property values
+// Shared by the background worker and the property mapping page
+
+// Export fields that can be written to database properties, with the property types each accepts
+const DATABASE_FIELDS = [
+  { key: 'title', label: 'Title', types: ['title'], required: true },
+  { key: 'url', label: 'URL', types: ['url', 'rich_text'] },
+  { key: 'exportedAt', label: 'Exported At', types: ['date'] },
+  { key: 'turnCount', label: 'Turn Count', types: ['number'] },
+  { key: 'model', label: 'Model', types: ['select', 'rich_text'] },
+  { key: 'tags', label: 'Tags', types: ['multi_select'] },
+  { key: 'lens', label: 'Lens', types: ['select', 'rich_text'] }
+];
+
+// Names tried when mapping automatically, besides the field label itself
+const DATABASE_FIELD_ALIASES = {
+  title: ['name'],
+  url: ['link', 'conversation url', 'source'],
+  exportedAt: ['exported', 'date', 'export date'],
+  turnCount: ['turns', 'turn count', 'messages'],
+  model: ['summary model'],
+  tags: ['tag', 'labels'],
+  lens: ['summary lens']
+};
+
+async function getDatabaseMapping(databaseId) {
+  const { databaseMappings } = await chrome.storage.local.get(['databaseMappings']);
+  return (databaseMappings || {})[databaseId] || null;
+}
+
+async function saveDatabaseMapping(databaseId, mapping) {
+  const { databaseMappings } = await chrome.storage.local.get(['databaseMappings']);
+  const mappings = databaseMappings || {};
+  mappings[databaseId] = { ...mapping, updatedAt: Date.now() };
+  await chrome.storage.local.set({ databaseMappings: mappings });
+}
+
+// Properties of a database schema that can hold the given export field
+function getCompatibleProperties(schema, field) {
+  return Object.values(schema.properties || {})
+    .filter(property => field.types.includes(property.type))
+    .map(property => property.name);
+}
+
+// Best-effort mapping by property name and type; the title property is always mapped
+function autoMapProperties(schema) {
+  const properties = {};
+
+  DATABASE_FIELDS.forEach(field => {
+    const compatible = getCompatibleProperties(schema, field);
+    if (field.key === 'title') {
+      properties.title = compatible[0] || null;
+      return;
+    }
+    const names = [field.label, ...(DATABASE_FIELD_ALIASES[field.key] || [])].map(name => name.toLowerCase());
+    properties[field.key] = compatible.find(name => names.includes(name.toLowerCase())) || null;
+  });
+
+  return { properties, defaultTags: [] };
+}
+
+// Drop mapped properties that no longer exist or changed type in the database
+function validateMapping(schema, mapping) {
+  const properties = {};
+  DATABASE_FIELDS.forEach(field => {
+    const name = mapping.properties[field.key];
+    properties[field.key] = name && getCompatibleProperties(schema, field).includes(name) ? name : null;
+  });
+  if (!properties.title) {
+    properties.title = getCompatibleProperties(schema, DATABASE_FIELDS[0])[0] || null;
+  }
+  return { ...mapping, properties };
+}
+
+// Build the `properties` object for POST /pages or PATCH /pages/{id}
+// values: { title, url, exportedAt, turnCount, model, tags, lens }
+// onlyFields limits which fields are written (used when updating an existing row)
+function buildDatabaseProperties(schema, mapping, values, onlyFields = null) {
+  const result = {};
+
+  DATABASE_FIELDS.forEach(field => {
+    if (onlyFields && !onlyFields.includes(field.key)) return;
+
+    const name = mapping.properties[field.key];
+    const property = name && schema.properties[name];
+    const value = values[field.key];
+    if (!property || value === undefined || value === null || value === '') return;
+
+    switch (property.type) {
+      case 'title':
+        result[name] = { title: [{ type: 'text', text: { content: String(value).substring(0, 2000) } }] };
+        break;
+      case 'rich_text':
+        result[name] = { rich_text: [{ type: 'text', text: { content: String(value).substring(0, 2000) } }] };
+        break;
+      case 'url':
+        result[name] = { url: String(value) };
+        break;
+      case 'date':
+        result[name] = { date: { start: value } };
+        break;
+      case 'number':
+        result[name] = { number: Number(value) };
+        break;
+      case 'select':
+        result[name] = { select: { name: selectOptionName(value) } };
+        break;
+      case 'multi_select':
+        result[name] = { multi_select: [...new Set(value.map(selectOptionName).filter(Boolean))].map(tag => ({ name: tag })) };
+        break;
+    }
+  });
+
+  return result;
+}
+
+// Select option names cannot contain commas and are limited to 100 characters
+function selectOptionName(value) {
+  return String(value).replace(/,/g, ' ').trim().substring(0, 100);
+}
+
+function parseTags(text) {
+  return (text || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
@@ -0,0 +1,86 @@
+// Summary cache - IndexedDB store of model replies keyed by turn content, lens and model
+// Shared by the background worker (importScripts) and the settings page (<script>)
+// Cache keys need the hashing helpers in utils/turnDiff.js
+// Record shape: { key, message: { text, model, usage }, lensId, model, createdAt, lastUsedAt, hits }
+
+const SUMMARY_CACHE_DB = 'claudeNotionExporter';
+const SUMMARY_CACHE_STORE = 'summaries';
+const SUMMARY_CACHE_VERSION = 1;
+
+let summaryCacheDb = null;
+
+function openSummaryCache() {
+  if (summaryCacheDb) return summaryCacheDb;
+
+  summaryCacheDb = new Promise((resolve, reject) => {
+    const request = indexedDB.open(SUMMARY_CACHE_DB, SUMMARY_CACHE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SUMMARY_CACHE_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      summaryCacheDb = null;
+      reject(request.error);
+    };
+  });
+  return summaryCacheDb;
+}
+
+// Run one request against the store and resolve with its result
+async function withSummaryStore(mode, operation) {
+  const db = await openSummaryCache();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SUMMARY_CACHE_STORE, mode);
+    const request = operation(transaction.objectStore(SUMMARY_CACHE_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// The lens is hashed by its prompt and schema, so editing a lens stops it matching older replies
+async function buildSummaryCacheKey(user, assistant, lens, model) {
+  const contentHash = await hashTurnContent(user, assistant);
+  const lensHash = await sha256Hex(JSON.stringify([lens.prompt, lens.titleField, lens.fields]));
+  return `${contentHash}:${lens.id}:${lensHash.substring(0, 16)}:${model}`;
+}
+
+// Cached reply, or null; a hit bumps the record's counters
+async function getCachedSummary(key) {
+  const record = await withSummaryStore('readonly', store => store.get(key));
+  if (!record) return null;
+
+  record.hits = (record.hits || 0) + 1;
+  record.lastUsedAt = Date.now();
+  await withSummaryStore('readwrite', store => store.put(record));
+  return record.message;
+}
+
+async function putCachedSummary(key, lens, model, message) {
+  const now = Date.now();
+  await withSummaryStore('readwrite', store => store.put({
+    key,
+    message: { text: message.text, model: message.model, usage: message.usage },
+    lensId: lens.id,
+    model,
+    createdAt: now,
+    lastUsedAt: now,
+    hits: 0
+  }));
+}
+
+// { entries, hits, tokensSaved, bytes } for the settings page
+async function getSummaryCacheStats() {
+  const records = await withSummaryStore('readonly', store => store.getAll());
+  return records.reduce((stats, record) => {
+    const usage = record.message.usage || {};
+    stats.entries++;
+    stats.hits += record.hits || 0;
+    stats.tokensSaved += (record.hits || 0) * ((usage.inputTokens || 0) + (usage.outputTokens || 0));
+    stats.bytes += record.message.text.length;
+    return stats;
+  }, { entries: 0, hits: 0, tokensSaved: 0, bytes: 0 });
+}
+
+async function clearSummaryCache() {
+  await withSummaryStore('readwrite', store => store.clear());
+}
@@ -0,0 +1,85 @@
+// Turn diffing - compares a conversation with its last export so an update can add new turns,
+// rewrite edited or regenerated ones in place and remove turns that were branched away
+// Shared by the background worker (importScripts) and the popup (<script>)
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Hash of a turn's user and assistant text
+function hashTurnContent(user, assistant) {
+  return sha256Hex(`${user}\u0000${assistant}`);
+}
+
+// Content hash of every turn, keyed by turn number
+async function hashTurns(turns) {
+  const turnHashes = {};
+  for (const turn of turns) {
+    turnHashes[turn.turnNumber] = await hashTurnContent(turn.user, turn.assistant);
+  }
+  return turnHashes;
+}
+
+// Compare the current turns with an export history entry
+// missingTurns: exported turns whose toggle is no longer in Notion (see verifyExportBlocks)
+// Returns { turnHashes, added, changed, removed, restored }, the last four as lists of turn numbers
+// Exports recorded before hashes were stored can only report added, removed and restored turns
+// Text read from the conversation JSON and from the page differ in formatting, so hashes are only
+// compared when both came from the same extraction source
+async function diffExportedTurns(turns, exportData, missingTurns = []) {
+  const turnHashes = await hashTurns(turns);
+  const sameSource = getExtractionSource(turns) === (exportData.extractionSource || 'dom');
+  const previousHashes = sameSource ? (exportData.turnHashes || {}) : {};
+  const added = [];
+  const changed = [];
+  const restored = [];
+
+  for (const turn of turns) {
+    const previousHash = previousHashes[turn.turnNumber];
+    if (turn.turnNumber > exportData.turnCount) {
+      added.push(turn.turnNumber);
+    } else if (missingTurns.includes(turn.turnNumber)) {
+      restored.push(turn.turnNumber);
+    } else if (previousHash && previousHash !== turnHashes[turn.turnNumber]) {
+      changed.push(turn.turnNumber);
+    }
+  }
+
+  // Editing an earlier message starts a new branch, which can be shorter than the exported one
+  const lastTurnNumber = turns.length > 0 ? turns[turns.length - 1].turnNumber : 0;
+  const removed = [];
+  for (let turnNumber = lastTurnNumber + 1; turnNumber <= exportData.turnCount; turnNumber++) {
+    removed.push(turnNumber);
+  }
+
+  return { turnHashes, added, changed, removed, restored };
+}
+
+// 'api' (conversation JSON) or 'dom' (page scraping); turns extracted before sources were recorded are 'dom'
+function getExtractionSource(turns) {
+  return turns.length > 0 && turns[0].source ? turns[0].source : 'dom';
+}
+
+function hasTurnChanges(diff) {
+  return diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0 || diff.restored.length > 0;
+}
+
+// Turn number -> { toggleId, sourceTextId, blockIds } of an export
+// toggleId is the turn's first block; blockIds lists all of its top-level blocks, since layouts
+// other than toggles spread a turn over several
+// Exports recorded before source blocks were tracked only have turnBlockIds (turn number -> toggle)
+function getTurnBlocks(exportData) {
+  if (exportData.turnBlocks) return exportData.turnBlocks;
+
+  const turnBlocks = {};
+  Object.entries(exportData.turnBlockIds || {}).forEach(([turnNumber, toggleId]) => {
+    turnBlocks[turnNumber] = { toggleId, sourceTextId: null };
+  });
+  return turnBlocks;
+}
+
+// Top-level blocks of an exported turn, in page order
+function getTurnBlockIds(blocks) {
+  return blocks.blockIds || [blocks.toggleId];
+}